@@ -0,0 +1,152 @@
+// Synthesized game sounds on the Web Audio API - peg plinks, bucket landing chimes and UI clicks, all made
+// from oscillators (no sound files). Sounds are scheduled on the audio clock with a delay, so the game can
+// line them up with its own animation clock at any playback speed. Every engine shares one AudioContext
+// and has its own master volume; without Web Audio (or before unlock) every call is a no-op.
+// Loaded as a plain script it defines window.PlinkoAudio; main.js requires it.
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.PlinkoAudio = factory();
+    }
+})(typeof self !== 'undefined' ? self : this, function () {
+    'use strict';
+
+    const MAX_VOICES = 32;        // Oscillators sounding at once per engine - more are dropped, not queued
+    const PEG_TOP_FREQUENCY = 1760; // Plink pitch of the top peg row (Hz), falling an octave and a half to the bottom row
+    const PEG_PITCH_RANGE = 1.5;  // Octaves
+    const CHIME_NOTES = [523.25, 659.25, 783.99, 1046.5, 1318.5, 1568]; // C major arpeggio (Hz)
+
+    let sharedContext = null;
+
+    function clamp(value, min, max) {
+        return Math.min(max, Math.max(min, value));
+    }
+
+    function getAudioContextClass() {
+        if (typeof window === 'undefined') return null;
+        return window.AudioContext || window.webkitAudioContext || null;
+    }
+
+    // settings: { volume (0-1), muted }
+    function createSoundEngine(settings = {}) {
+        let volume = typeof settings.volume === 'number' ? clamp(settings.volume, 0, 1) : 1;
+        let muted = !!settings.muted;
+        let master = null;
+        let voices = 0;
+
+        // Browsers only start audio after a user gesture - call this from one (clicks on the game do)
+        function unlock() {
+            const AudioContextClass = getAudioContextClass();
+            if (!AudioContextClass) return;
+
+            if (!sharedContext) sharedContext = new AudioContextClass();
+            if (!master) {
+                master = sharedContext.createGain();
+                master.gain.value = muted ? 0 : volume;
+                master.connect(sharedContext.destination);
+            }
+            if (sharedContext.state === 'suspended') sharedContext.resume();
+        }
+
+        // Whether anything would be heard - callers skip scheduling work while this is false
+        function isAudible() {
+            return !!master && !muted && volume > 0;
+        }
+
+        function applyVolume() {
+            if (!master) return;
+            master.gain.setTargetAtTime(muted ? 0 : volume, sharedContext.currentTime, 0.015);
+        }
+
+        function setVolume(value) {
+            volume = clamp(value, 0, 1);
+            applyVolume();
+        }
+
+        function setMuted(value) {
+            muted = !!value;
+            applyVolume();
+        }
+
+        // One enveloped oscillator starting delayMs from now
+        function tone(frequency, options, delayMs) {
+            if (!isAudible() || voices >= MAX_VOICES) return;
+
+            const start = sharedContext.currentTime + Math.max(0, delayMs) / 1000;
+            const attack = options.attack || 0.003;
+            const decay = options.decay || 0.2;
+
+            const oscillator = sharedContext.createOscillator();
+            const envelope = sharedContext.createGain();
+            oscillator.type = options.type || 'sine';
+            oscillator.frequency.setValueAtTime(frequency, start);
+            if (options.glide) {
+                oscillator.frequency.exponentialRampToValueAtTime(frequency * options.glide, start + attack + decay);
+            }
+            envelope.gain.setValueAtTime(0.0001, start);
+            envelope.gain.exponentialRampToValueAtTime(Math.max(0.0002, options.gain), start + attack);
+            envelope.gain.exponentialRampToValueAtTime(0.0001, start + attack + decay);
+
+            oscillator.connect(envelope);
+            envelope.connect(master);
+            voices++;
+            oscillator.onended = () => {
+                voices--;
+                envelope.disconnect();
+            };
+            oscillator.start(start);
+            oscillator.stop(start + attack + decay + 0.02);
+        }
+
+        // A peg plink - higher rows ring higher, harder hits (intensity 0-1) ring louder and longer
+        function playPeg(row, rowCount, intensity, delayMs = 0) {
+            const depth = rowCount > 1 ? row / (rowCount - 1) : 0;
+            const frequency = PEG_TOP_FREQUENCY * Math.pow(2, -depth * PEG_PITCH_RANGE);
+            const gain = 0.04 + 0.2 * intensity;
+            tone(frequency, { type: 'sine', gain: gain, decay: 0.08 + 0.12 * intensity }, delayMs);
+            tone(frequency * 2.76, { type: 'sine', gain: gain * 0.25, decay: 0.05 }, delayMs); // Bell-like overtone
+        }
+
+        // Bucket landing - a soft falling pair below 1x, then a brighter, longer arpeggio the bigger the win
+        function playLanding(multiplier, delayMs = 0) {
+            if (multiplier < 1) {
+                tone(392, { type: 'triangle', gain: 0.12, decay: 0.25 }, delayMs);
+                tone(329.63, { type: 'triangle', gain: 0.1, decay: 0.35 }, delayMs + 110);
+                return;
+            }
+
+            const noteCount = Math.min(CHIME_NOTES.length, 2 + Math.floor(Math.log2(multiplier)));
+            for (let i = 0; i < noteCount; i++) {
+                tone(CHIME_NOTES[i], { type: 'triangle', gain: 0.16, decay: 0.3 + 0.08 * i }, delayMs + i * 90);
+            }
+        }
+
+        // Short UI tick for buttons
+        function playClick() {
+            tone(2200, { type: 'square', gain: 0.03, decay: 0.025, glide: 0.5 }, 0);
+        }
+
+        function destroy() {
+            if (master) master.disconnect();
+            master = null;
+        }
+
+        return {
+            unlock: unlock,
+            isAudible: isAudible,
+            setVolume: setVolume,
+            setMuted: setMuted,
+            getVolume: () => volume,
+            isMuted: () => muted,
+            playPeg: playPeg,
+            playLanding: playLanding,
+            playClick: playClick,
+            destroy: destroy
+        };
+    }
+
+    return {
+        createSoundEngine: createSoundEngine
+    };
+});
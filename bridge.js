@@ -0,0 +1,168 @@
+// postMessage bridge for running the game in an iframe inside a host lobby - see "Iframe Embedding" in
+// README.md for the protocol. The bridge creates the PlinkoGame once the host sends init and drives it
+// only through its public methods. Loaded as a plain script after main.js it defines window.PlinkoBridge.
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.PlinkoBridge = factory();
+    }
+})(typeof self !== 'undefined' ? self : this, function () {
+    'use strict';
+
+    const PROTOCOL = 'plinko';
+    const PROTOCOL_VERSION = 1;
+
+    // Theme entries the host may set - each one is a GAME_CONFIG colour key
+    const THEME_KEYS = ['backgroundColor', 'pegColor', 'ballColor', 'bucketColors'];
+
+    // Error whose code is reported to the host (other errors are reported as badRequest)
+    function bridgeError(code, message) {
+        const error = new Error(message);
+        error.code = code;
+        return error;
+    }
+
+    // Listen for host messages on behalf of a game that will live in container.
+    //   allowedOrigins - host origins whose messages are accepted ('*' accepts any, for local testing only)
+    //   hostWindow     - window the host runs in (defaults to window.parent)
+    //   createGame     - (container, config) => game, defaults to new PlinkoGame(container, config)
+    function createBridge(container, options = {}) {
+        const allowedOrigins = options.allowedOrigins || [];
+        const hostWindow = options.hostWindow || window.parent;
+        const createGame = options.createGame || ((element, config) => new window.PlinkoGame(element, config));
+
+        let game = null;
+        let hostOrigin = null;  // Origin of the host's init message - every reply is sent to it only
+        let pendingDrop = null; // { id, roundId } of the drop request whose round is being played
+
+        function send(type, payload, replyTo = null) {
+            hostWindow.postMessage({
+                protocol: PROTOCOL,
+                version: PROTOCOL_VERSION,
+                type: type,
+                replyTo: replyTo,
+                payload: payload
+            }, hostOrigin);
+        }
+
+        function sendError(code, message, replyTo = null) {
+            console.warn(`Bridge error (${code}): ${message}`);
+            send('error', { code: code, message: message }, replyTo);
+        }
+
+        function isAllowedOrigin(origin) {
+            return allowedOrigins.includes('*') || allowedOrigins.includes(origin);
+        }
+
+        function requireGame() {
+            if (!game) throw bridgeError('notInitialized', 'Send init first');
+        }
+
+        // Every finished round is reported with the request id and roundId of the drop that started it
+        function handleRoundComplete(round) {
+            const request = pendingDrop;
+            pendingDrop = null;
+            send('roundResult', {
+                roundId: request ? request.roundId : null,
+                status: round.status,
+                seed: round.seed,
+                targets: round.targets,
+                landed: round.landed,
+                bet: round.bet,
+                payout: round.payout,
+                balance: round.credits
+            }, request ? request.id : null);
+        }
+
+        const handlers = {
+            init: (payload, id) => {
+                if (game) throw bridgeError('alreadyInitialized', 'The game is already initialized');
+
+                const config = Object.assign({}, payload.config);
+                const theme = payload.theme || {};
+                THEME_KEYS.forEach(key => {
+                    if (theme[key] !== undefined) config[key] = theme[key];
+                });
+                if (payload.balance !== undefined) config.startingCredits = payload.balance;
+                // The host decides every round - the player can't drop, pick or re-run inside the iframe
+                config.hostOutcomes = true;
+
+                game = createGame(container, config);
+                game.on('roundComplete', handleRoundComplete);
+                send('ready', { balance: game.getBalance() }, id);
+            },
+
+            setBalance: (payload, id) => {
+                requireGame();
+                game.setBalance(payload.balance);
+                send('balance', { balance: game.getBalance() }, id);
+            },
+
+            drop: (payload, id) => {
+                requireGame();
+                if (pendingDrop) throw bridgeError('busy', 'A requested round is still being played');
+
+                const buckets = Array.isArray(payload.buckets) ? payload.buckets : [payload.bucket];
+                const roundId = payload.roundId !== undefined ? payload.roundId : null;
+                pendingDrop = { id: id, roundId: roundId };
+                game.dropWithOutcome(buckets, roundId !== null ? { roundId: roundId } : {}).catch(error => {
+                    pendingDrop = null;
+                    sendError('dropRejected', error.message, id);
+                });
+            },
+
+            reset: () => {
+                requireGame();
+                game.reset();
+            }
+        };
+
+        function handleMessage(event) {
+            if (event.source !== hostWindow) return;
+
+            const message = event.data;
+            if (!message || message.protocol !== PROTOCOL) return; // Other traffic on the window
+            if (!isAllowedOrigin(event.origin)) {
+                console.warn(`Ignored message from ${event.origin} - not an allowed origin`);
+                return;
+            }
+            hostOrigin = event.origin;
+
+            const id = message.id !== undefined ? message.id : null;
+            if (message.version !== PROTOCOL_VERSION) {
+                sendError('unsupportedVersion', `Protocol version ${message.version} is not supported (expected ${PROTOCOL_VERSION})`, id);
+                return;
+            }
+            const handler = Object.prototype.hasOwnProperty.call(handlers, message.type) ? handlers[message.type] : null;
+            if (!handler) {
+                sendError('unknownType', `Unknown message type "${message.type}"`, id);
+                return;
+            }
+
+            try {
+                handler(message.payload || {}, id);
+            } catch (error) {
+                sendError(error.code || 'badRequest', error.message, id);
+            }
+        }
+
+        window.addEventListener('message', handleMessage);
+
+        return {
+            // Stop listening and remove the game
+            destroy: () => {
+                window.removeEventListener('message', handleMessage);
+                if (game) game.destroy();
+                game = null;
+            }
+        };
+    }
+
+    return {
+        PROTOCOL: PROTOCOL,
+        PROTOCOL_VERSION: PROTOCOL_VERSION,
+        THEME_KEYS: THEME_KEYS,
+        createBridge: createBridge
+    };
+});
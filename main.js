@@ -1,48 +1,401 @@
-document.addEventListener('DOMContentLoaded', () => {
+// Embeddable Plinko game - new PlinkoGame(container, options) builds a complete board inside the container.
+// Every game owns its markup, state and listeners and looks elements up by data-el inside its own container,
+// so several games can share a page. Loaded as a plain script it defines window.PlinkoGame (simulation.js
+// and audio.js must be loaded first); bundlers can require() it.
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./simulation.js'), require('./audio.js'));
+    } else {
+        root.PlinkoGame = factory(root.PlinkoSimulation, root.PlinkoAudio);
+    }
+})(typeof self !== 'undefined' ? self : this, function (PlinkoSimulation, PlinkoAudio) {
+
+// Markup of one game - elements carry data-el names instead of ids (see getElement)
+const GAME_TEMPLATE = `
+<div class="game-wrapper">
+    <div class="game-content">
+        <div class="game-container">
+        <div class="game-header">
+            <h1>Plinko Game</h1>
+            <div class="game-mode">
+                <h3>Select Target Bucket</h3>
+            </div>
+            
+            <div class="bucket-buttons">
+                <!-- Numbered bucket buttons are generated from GAME_CONFIG.bucketCount -->
+                <button data-el="bucket-random" class="target-btn random-btn" data-bucket="random">Random</button>
+            </div>
+            
+            <div class="wallet">
+                <div class="wallet-item">
+                    <span class="wallet-label">Credits</span>
+                    <span class="wallet-value" data-el="credit-balance">0.00</span>
+                </div>
+                <label class="wallet-item">
+                    <span class="wallet-label">Bet</span>
+                    <select class="wallet-select" data-el="bet-select"></select>
+                </label>
+                <label class="wallet-item">
+                    <span class="wallet-label">Balls</span>
+                    <select class="wallet-select" data-el="ball-count-select"></select>
+                </label>
+                <label class="wallet-item">
+                    <span class="wallet-label">Speed</span>
+                    <select class="wallet-select" data-el="speed-select"></select>
+                </label>
+                <div class="wallet-item">
+                    <span class="wallet-label">Sound</span>
+                    <div class="sound-controls">
+                        <button class="sound-mute" data-el="sound-mute">Mute</button>
+                        <input class="sound-volume" data-el="sound-volume" type="range" min="0" max="100" aria-label="Volume">
+                    </div>
+                </div>
+                <div class="wallet-item">
+                    <span class="wallet-label">Last Win</span>
+                    <span class="wallet-value" data-el="last-win">0.00</span>
+                </div>
+            </div>
+            
+            <div class="controls">
+                <button data-el="drop">Drop Ball</button>
+                <button data-el="reset">Reset</button>
+                <button data-el="history-toggle">History</button>
+            </div>
+            
+            <div class="autoplay" data-el="autoplay-panel">
+                <label class="autoplay-field">
+                    <span class="wallet-label">Rounds</span>
+                    <select data-el="autoplay-rounds"></select>
+                </label>
+                <label class="autoplay-field">
+                    <span class="wallet-label">Stop on win above</span>
+                    <input data-el="autoplay-stop-win" type="number" min="0" step="any" placeholder="Off">
+                </label>
+                <label class="autoplay-field">
+                    <span class="wallet-label">Stop below balance</span>
+                    <input data-el="autoplay-stop-balance" type="number" min="0" step="any" placeholder="Off">
+                </label>
+                <label class="autoplay-check">
+                    <input data-el="autoplay-stop-mismatch" type="checkbox" checked>
+                    Stop on mismatch
+                </label>
+                <button data-el="autoplay-toggle">Auto Play</button>
+                <span class="autoplay-remaining" data-el="autoplay-remaining"></span>
+            </div>
+        </div>
+        
+        <div class="game-area">
+            <canvas data-el="plinkoCanvas"></canvas>
+        </div>
+        
+        <div class="heatmap-legend" data-el="heatmap-legend" hidden>
+            <span class="heatmap-legend-title" data-el="heatmap-legend-title">Peg hits</span>
+            <span>0</span>
+            <span class="heatmap-legend-bar" data-el="heatmap-legend-bar"></span>
+            <span data-el="heatmap-legend-max">0</span>
+        </div>
+        
+        <div class="replay-bar" data-el="replay-bar" hidden>
+            <span class="replay-badge">REPLAY</span>
+            <span class="replay-round" data-el="replay-round"></span>
+            <button data-el="replay-play">Pause</button>
+            <input class="replay-scrub" data-el="replay-scrub" type="range" min="0" max="1000" value="0">
+            <span class="replay-time" data-el="replay-time">0.00s</span>
+            <select class="replay-speed" data-el="replay-speed"></select>
+            <button data-el="replay-exit">Exit Replay</button>
+        </div>
+        
+        <div class="fair-panel" data-el="fair-panel" hidden>
+            <h3>Provably Fair</h3>
+            
+            <div class="fair-row">
+                <span class="fair-label">Server Seed Hash (committed):</span>
+                <span class="fair-value" data-el="fair-commitment">Committing...</span>
+            </div>
+            <label class="fair-row">
+                <span class="fair-label">Client Seed:</span>
+                <input class="fair-input" data-el="fair-client-seed" type="text" spellcheck="false">
+            </label>
+            <div class="fair-row">
+                <span class="fair-label">Nonce:</span>
+                <span class="fair-value" data-el="fair-nonce">0</span>
+            </div>
+            <div class="fair-row">
+                <span class="fair-label">Last Revealed Server Seed:</span>
+                <span class="fair-value" data-el="fair-reveal">None</span>
+            </div>
+            
+            <h4>Verify a Round</h4>
+            <div class="fair-verify">
+                <input class="fair-input" data-el="fair-verify-server-seed" type="text" placeholder="Server seed" spellcheck="false">
+                <input class="fair-input" data-el="fair-verify-client-seed" type="text" placeholder="Client seed" spellcheck="false">
+                <input class="fair-input fair-verify-nonce" data-el="fair-verify-nonce" type="number" min="0" placeholder="Nonce">
+                <button data-el="fair-verify">Verify</button>
+            </div>
+            <div class="fair-verify-result" data-el="fair-verify-result"></div>
+        </div>
+    </div>
+        
+    <!-- Debug panel now appears on the right side -->
+    <div class="debug-panel">
+        <h3>Debug Info</h3>
+        
+        <div class="debug-section">
+            <div class="debug-label">Debug Mode (D):</div>
+            <div class="debug-seed-controls">
+                <button data-el="debug-mode-toggle">Turn On</button>
+            </div>
+        </div>
+        
+        <div class="debug-section" data-el="debug-telemetry-section" data-debug-only hidden>
+            <div class="debug-label">Path Generation:</div>
+            <div class="debug-telemetry" data-el="debug-telemetry">No round yet</div>
+        </div>
+        
+        <div class="debug-section">
+            <div class="debug-label">Game Status:</div>
+            <div class="debug-value mode-value" data-el="debug-mode">Not Started</div>
+            
+            <div class="debug-label">Target Bucket:</div>
+            <div class="debug-value target-value" data-el="debug-target">None</div>
+            
+            <div class="debug-label">Landed in Bucket:</div>
+            <div class="debug-value" data-el="debug-landed-bucket">None</div>
+            
+            <div class="debug-label">Round Result:</div>
+            <div class="debug-value" data-el="debug-round-result">None</div>
+            
+            <div class="debug-label">Success Rate:</div>
+            <div class="debug-value success-rate" data-el="debug-success-rate">0% (0/0)</div>
+        </div>
+        
+        <div class="debug-section">
+            <div class="debug-label">Outcome Distribution:</div>
+            <div class="stats-table" data-el="debug-stats"></div>
+            <div class="stats-summary" data-el="debug-stats-summary">No balls landed</div>
+            <div class="debug-seed-controls">
+                <button data-el="debug-stats-clear">Clear</button>
+            </div>
+        </div>
+        
+        <div class="debug-section">
+            <div class="debug-label">Last Result:</div>
+            <div class="debug-value" data-el="debug-last-result">None</div>
+        </div>
+        
+        <div class="debug-section">
+            <div class="debug-label">Outcome Source:</div>
+            <select class="debug-select" data-el="debug-outcome-provider"></select>
+            <div class="debug-value" data-el="debug-outcome">Player Pick</div>
+            
+            <div class="debug-label">Random Draw:</div>
+            <div class="debug-value" data-el="debug-random-draw">None</div>
+        </div>
+        
+        <div class="debug-section" data-debug-only hidden>
+            <div class="debug-label">Round Seed:</div>
+            <div class="debug-value seed-value" data-el="debug-seed">None</div>
+            
+            <div class="debug-label">Path Hash:</div>
+            <div class="debug-value seed-value" data-el="debug-path-hash">None</div>
+            
+            <div class="debug-seed-controls">
+                <input data-el="debug-seed-input" type="text" maxlength="10" placeholder="Seed (hex)" spellcheck="false">
+                <button data-el="debug-rerun">Re-run</button>
+            </div>
+        </div>
+        
+        <div class="debug-section" data-debug-only hidden>
+            <div class="debug-label">Path Source:</div>
+            <select class="debug-select" data-el="debug-path-mode">
+                <option value="library">Path Library</option>
+                <option value="simulate">Simulate on Drop</option>
+            </select>
+            <select class="debug-select" data-el="debug-path-engine">
+                <option value="guided">Guided Simulation</option>
+                <option value="physics">Rigid-Body Physics</option>
+            </select>
+            <div class="debug-value" data-el="debug-path-source">None</div>
+            
+            <div class="debug-label">Path Quality:</div>
+            <div class="debug-value" data-el="debug-path-quality">None</div>
+            
+            <div class="debug-label">Path Library:</div>
+            <div class="debug-value" data-el="debug-path-library">Not loaded</div>
+            
+            <div class="debug-seed-controls">
+                <input data-el="debug-path-library-file" type="file" accept="application/json,.json" hidden>
+                <button data-el="debug-path-library-load">Load</button>
+                <button data-el="debug-path-library-build">Build</button>
+            </div>
+            
+            <div class="debug-label">Path Zones:</div>
+            <div class="debug-seed-controls">
+                <button data-el="debug-zones-toggle">Show Zones</button>
+            </div>
+        </div>
+        
+        <div class="debug-section" data-debug-only hidden>
+            <div class="debug-label">Peg Heatmap:</div>
+            <select class="debug-select" data-el="debug-heatmap-filter"></select>
+            <div class="debug-value" data-el="debug-heatmap-summary">No balls recorded</div>
+            
+            <div class="debug-seed-controls">
+                <button data-el="debug-heatmap-toggle">Show</button>
+                <button data-el="debug-heatmap-export">Export</button>
+                <button data-el="debug-heatmap-clear">Clear</button>
+            </div>
+        </div>
+    </div>
+    </div>
+</div>
+
+<!-- Round history drawer -->
+<aside class="history-drawer" data-el="history-drawer">
+    <div class="history-header">
+        <h3>Round History</h3>
+        <button data-el="history-close" aria-label="Close history">&times;</button>
+    </div>
+    <div class="history-count" data-el="history-count">0 rounds logged</div>
+    <div class="history-actions">
+        <button data-el="history-export-json">Export JSON</button>
+        <button data-el="history-export-csv">Export CSV</button>
+    </div>
+    <div class="history-table-wrapper">
+        <table class="history-table">
+            <thead>
+                <tr>
+                    <th>Round</th>
+                    <th>Time</th>
+                    <th>Target</th>
+                    <th>Landed</th>
+                    <th>Bet</th>
+                    <th>Payout</th>
+                    <th>Status</th>
+                    <th></th>
+                </tr>
+            </thead>
+            <tbody data-el="history-rows"></tbody>
+        </table>
+    </div>
+</aside>
+`;
+
+// Game whose container was clicked last - keyboard shortcuts go to it
+let activeGameRoot = null;
+
+// Storage keys held by the live games on this page - two games must never share a round log or replay store
+const storageKeysInUse = new Set();
+
+// Lifecycle events a game emits to its host (subscribe with PlinkoGame#on). Payloads:
+//   roundStart    { seed, ballCount, targets, bet, stake, provider } - outcomes are in and the balls are about to fall
+//   pathGenerated { ballIndex, target, delay, durationMs, generationMs, attempts, pathRetries, usedFallback,
+//                   pathSource, qualityScore } - one per ball, right after roundStart
+//   pegHit        { ballIndex, pegIndex, time, impactSpeed, x, y } - time is ms into the ball's path
+//   bucketEnter   { ballIndex, bucket, target } - the ball dropped below the top of a bucket
+//   landed        { ballIndex, target, bucket, isTarget, multiplier, payout } - the ball was settled
+//   roundComplete { status, seed, ballCount, targets, landed, bet, payout, credits, outcomeMeta } - status is
+//                   'landed', or 'interrupted' when a reset settled the balls still falling at their target
+//   reset         { interrupted } - interrupted is true when balls were still falling (they are paid at their target)
+// Replays never emit events.
+const GAME_EVENTS = ['roundStart', 'pathGenerated', 'pegHit', 'bucketEnter', 'landed', 'roundComplete', 'reset'];
+
+// Event emitter for a fixed set of event names - a listener that throws is logged and skipped,
+// so host code can never break the game loop
+function createEventEmitter(eventNames) {
+    const listeners = {};
+    eventNames.forEach(name => { listeners[name] = []; });
+    
+    function checkName(name) {
+        if (!listeners[name]) throw new Error(`Unknown event "${name}" - expected one of ${eventNames.join(', ')}`);
+    }
+    
+    function on(name, listener) {
+        checkName(name);
+        if (typeof listener !== 'function') throw new Error(`Listener for "${name}" must be a function`);
+        listeners[name].push(listener);
+        return () => off(name, listener);
+    }
+    
+    function off(name, listener) {
+        checkName(name);
+        listeners[name] = listeners[name].filter(existing => existing !== listener);
+    }
+    
+    function emit(name, payload) {
+        checkName(name);
+        listeners[name].slice().forEach(listener => {
+            try {
+                listener(payload);
+            } catch (error) {
+                console.error(`"${name}" listener failed: ${error.message}`);
+            }
+        });
+    }
+    
+    function clear() {
+        eventNames.forEach(name => { listeners[name] = []; });
+    }
+    
+    return { on: on, off: off, emit: emit, clear: clear };
+}
+
+// Build one game inside root - returns the methods PlinkoGame exposes
+function createGame(root, options) {
+    root.innerHTML = GAME_TEMPLATE;
+    
+    // Look up an element of this game by its data-el name
+    function getElement(name) {
+        return root.querySelector(`[data-el="${name}"]`);
+    }
+    
     // Game constants
-    const canvas = document.getElementById('plinkoCanvas');
+    const canvas = getElement('plinkoCanvas');
     const ctx = canvas.getContext('2d');
-    const bucketButtons = document.querySelectorAll('.bucket-buttons button');
-    const dropButton = document.getElementById('drop');
-    const resetButton = document.getElementById('reset');
+    let bucketButtons = []; // Target buttons, generated from GAME_CONFIG.bucketCount (see renderBucketButtons)
+    const dropButton = getElement('drop');
+    const resetButton = getElement('reset');
     
-    // Game configuration
-    const GAME_CONFIG = {
+    // Every storage key starts with the game's storageNamespace, so games on one page keep separate state
+    const storageNamespace = options && options.storageNamespace ? options.storageNamespace : 'deterministicPlinko';
+    
+    // Game configuration - the simulation settings (board geometry, path engines, path quality, path library
+    // and RNG, see DEFAULT_CONFIG in simulation.js) plus the game's own keys below; options override any key
+    const GAME_CONFIG = Object.assign({}, PlinkoSimulation.DEFAULT_CONFIG, {
+        storageNamespace: storageNamespace, // Prefix of the storage keys below - every game on a page needs its own
+        
         // Peg configuration
         pegRadius: 8,           // Increased from 6 to 8 to reduce chance of passing through
         pegColor: '#f8f9fa',
-        pegRows: 9,            // Changed from 15 to 9
         pegSpacing: 50,         // Horizontal spacing between pegs (Note: dynamically calculated in initPegs)
         pegOffset: 25,          // Additional stagger offset
         pegGlowIntensity: 0.3,  // Intensity of peg glow effect
-        pegHeatmap: false,      // Whether to use heatmap visualization
+        pegHeatmap: false,      // Color pegs by how often balls have hit them (toggled from the debug panel)
+        pegHeatmapGradient: ['#440154', '#3b528b', '#21918c', '#5ec962', '#fde725'], // Viridis, fewest to most hits
         pegInfluenceRadius: 80, // How far a peg's path influence extends
-        pegSoundEnabled: false, // Whether to play sounds on collision
-        
-        // Path influence zones
-        pathZones: [
-            // Zones are defined by start/end rows and preferred direction 
-            // direction: -1=left, 0=neutral, 1=right
-            { startRow: 0, endRow: 4, direction: 0, strength: 0.5 },
-            { startRow: 5, endRow: 8, direction: 0, strength: 0.7 },
-            { startRow: 9, endRow: 12, direction: 0, strength: 1.0 }
-        ],
+        pegSoundEnabled: true,  // Whether pegs plink on contact (see audio.js)
+        showPathZones: false,   // Debug overlay of the pathZones bands and each peg's influence arrow
         
         // Ball configuration
         ballRadius: 10,
         ballColor: '#f72585',
         ballTrailLength: 5,
-        ballRestitution: 0.85,   // Bounciness factor
+        ballCountOptions: [1, 2, 3, 5, 10], // Balls per round offered in the header selector (each ball is bet separately)
+        defaultBallCount: 1,
+        ballLaunchIntervalMs: 250, // Shortest gap between the launches of one round's balls
+        ballMinSeparation: 1.2,  // Closest two balls of a round may come, in ball diameters
+        ballPathAttempts: 8,     // Paths tried per ball before its launch is delayed instead to keep that separation
+        landedBallLingerMs: 1500, // How long a landed ball rests in its bucket before it is removed
         
         // Visual effects
         enableParticles: true,    // Show particles on collision
         particleCount: 3,         // Particles per collision
         particleLifetime: 30,     // How long particles live in frames
+        pegImpactFullSpeed: 0.75, // Peg impact speed (board widths per second) that gives full-strength effects
         enableGlowEffects: true,  // Enhanced glow effects
         
-        // Bucket configuration
-        bucketCount: 5,
-        bucketColors: [
+        // Bucket configuration - outcomeWeights and paytable need one entry per bucket of bucketCount
+        bucketColors: [          // Repeated across the buckets when there are more buckets than colors
             '#f72585', // Pink (primary)
             '#4361ee', // Blue
             '#4cc9f0', // Light blue
@@ -50,16 +403,67 @@ document.addEventListener('DOMContentLoaded', () => {
             '#b5179e'  // Magenta
         ],
         bucketHighlightTime: 2000, // How long bucket highlight effect lasts (ms)
-        bucketDepth: 0.18,       // Bucket height as proportion of canvas height (increased to 0.18)
         bucketRimThickness: 5,   // Thickness of bucket rim in pixels
         bucketGlowIntensity: 0.4, // Intensity of bucket highlight glow
         bucketParticles: true,   // Whether to show particles in buckets
         
         // Physics
         backgroundColor: '#16213e',
-        gravity: 0.3,
-        speedDamping: 0.95       // Speed loss on wall collision
-    };
+        speedDamping: 0.95,      // Speed loss on wall collision
+        
+        // Round history
+        historyStorageKey: `${storageNamespace}.roundLog.v1`, // localStorage key of the append-only round log
+        historyDrawerLimit: 100,  // Most recent rounds listed in the history drawer
+        replayPathStorageKey: `${storageNamespace}.replayPaths.v1`, // localStorage key of stored animation paths
+        replayPathLimit: 200,     // Newest rounds whose full path is kept (older rounds replay from their seed)
+        replaySpeeds: [0.25, 0.5, 1, 1.5, 2], // Playback speeds offered during a replay
+        
+        // Path library - precomputed paths picked at drop time instead of simulating on the click
+        pathMode: 'library',              // 'library' (falls back to simulating while none is loaded) or 'simulate'
+        pathLibraryUrl: 'path-library.json', // Library fetched at startup (build one from the debug panel)
+        pathLibraryTimeJitter: 0.08,      // Played paths are stretched or squeezed in time by up to this fraction
+        
+        // Outcome
+        outcomeProvider: 'player',        // Which OUTCOME_PROVIDERS entry decides each round
+        hostOutcomes: false,              // Only the host decides rounds (dropWithOutcome) - Drop, bucket picks, auto-play,
+                                          // re-runs and the provider select are locked (the iframe bridge turns this on)
+        outcomeTimeoutMs: 5000,           // Round is voided if no outcome arrives in time
+        outcomeWeights: [1, 4, 6, 4, 1],  // Relative bucket weights for Random mode and the local weighted RNG
+        remoteOutcomeUrl: '/api/plinko/outcome', // Endpoint polled by the remote server provider
+        fairServerUrl: '/api/plinko/fair',       // Provably fair server - POSTs to /commit, /roll and /reveal below it
+        
+        // Paytable and wallet
+        paytable: [3, 0.9, 0.4, 0.9, 3], // Bet multiplier per bucket (97.5% RTP with the default outcomeWeights)
+        betOptions: [1, 2, 5, 10, 25],   // Bets offered in the header selector
+        defaultBet: 1,
+        startingCredits: 100,
+        
+        // Auto-play
+        autoPlayRoundOptions: [10, 25, 50, 100, 500], // Round counts offered in the auto-play selector
+        autoPlayDelayMs: 600, // Pause between one auto-played round finishing and the next drop
+        
+        // Playback speed - every mode plays the same paths, only the round clock runs at a different rate
+        speedModes: {
+            normal: { label: 'Normal', timeScale: 1, shortcut: 'n' },
+            turbo: { label: 'Turbo', timeScale: 3, shortcut: 't' },
+            instant: { label: 'Instant', timeScale: 1, shortcut: 'i', skipToLanding: true } // Jumps to the landing, balls then rest as usual
+        },
+        defaultSpeedMode: 'normal',
+        speedModeStorageKey: `${storageNamespace}.speedMode`, // sessionStorage key of the speed chosen this session
+        
+        // Sound (see audio.js)
+        soundVolume: 0.6,       // Master volume (0-1) until the player changes it
+        soundLookaheadMs: 100,  // How far ahead of the animation clock peg sounds are scheduled (real time)
+        soundSettingsStorageKey: `${storageNamespace}.sound.v1`, // localStorage key of the player's volume and mute
+        
+        // Debug mode - path overlays, landing markers and path generation telemetry, all hidden from players
+        debugMode: false,         // Start in debug mode (a ?debug=1 query parameter does too)
+        debugShortcut: 'd',       // Key that toggles debug mode
+        debugCandidateLimit: 25   // Rejected candidate paths kept per ball for the overlay (every one is counted)
+    }, options);
+
+    // Board layout, seeded randomness and path generation live in simulation.js (no DOM, runs in Node too)
+    const { hashString, formatSeed, parseSeed } = PlinkoSimulation;
     
     // Game state
     let selectedBucket = null;
@@ -68,47 +472,486 @@ document.addEventListener('DOMContentLoaded', () => {
     let animationFrameId = null;
     let lastTimestamp = 0;
     let deltaTime = 0;
+    let liveBoard = null; // Geometry the canvas is currently drawn with (see createBoard in simulation.js)
     let pegLocations = [];
     let bucketLocations = [];
-    let ball = null;
-    let ballTrail = [];
+    let balls = []; // Every ball of the current round or replay (see createBallFlight)
     let collisionHistory = [];
-    let targetBucket = null;
+    let roundTargets = []; // Target bucket of each ball in the current round or replay
     let particles = [];   // Particle effects for collisions
-    let lastCollisionPeg = null; // Last peg the ball collided with (to prevent multiple collisions)
-    let currentCleanupInterval = null; // Added to track the cleanup timer
-    let debugLandingMarker = null; // Store landing detection point for debugging
+    let debugLandingMarkers = []; // { x, y, bucket, target } where each ball of the round landed
     let gameStats = {
         totalDrops: 0,
         successfulDrops: 0,
         lastResult: null, // 'success' or 'failure'
         lastBucketLanded: null, // Which bucket the ball landed in
     };
+    let outcomeStats = createOutcomeStats(); // Landing distribution of every live ball (see recordOutcomeStats)
+    
+    // Animation clock - every ball's path is played relative to the round start
+    let roundElapsed = 0;       // Round time (ms), advanced every frame by the real frame time scaled by the speed mode
+    let roundFrameTime = null;  // Timestamp of the frame that last advanced roundElapsed
+    let speedMode = GAME_CONFIG.defaultSpeedMode; // Key of GAME_CONFIG.speedModes
+    let animationDuration = 0; // Total duration of the round (until its last ball lands)
     
-    // Animation path state
-    let animationPath = null; // Array of {x, y, time} points
-    let animationStartTime = 0;
-    let animationDuration = 0; // Total duration of the animation
+    // Round log health - a log that can't be read is never written again (see appendRoundLog)
+    let roundLogError = null; // Why the stored round log can't be read
+    let unloggedRounds = 0;   // Rounds left out of the log since then
+    
+    // Replay state - set while a past round is re-animated (never touches gameStats or credits)
+    let replayState = null; // { entry, duration, elapsed, speed, playing, lastFrameTime } - the replayed balls are in balls
     let pegVisualData = {}; // Stores visual state like isActive, activationTime
     
+    // Peg heatmap - contact counts of every live ball that landed, kept for the life of the game
+    let pegHeat = {};           // 'all' or a target bucket -> { balls, hits, maxHits } where hits[pegIndex] counts contacts
+    let pegHeatFilter = 'all';  // Which entry of pegHeat the heatmap shows
+    let zoneOverlayTarget = null; // Target bucket the pegs' influence fields were last computed for
+
+    // Random streams - outcome affects the path, cosmetic only affects effects
+    let rngStreams = createRoundStreams(generateRoundSeed());
+    let currentRound = null; // { seed, target, outcome, boardWidth, startX, pathHash } of the latest drop
+    let outcomeRequestId = 0; // Bumped on every request and on reset so late outcomes are discarded
+    let lastOutcomeError = null; // Message of the last failed outcome request
+    
+    // Provably fair state - the server seed stays on the fair server, the page only ever holds its hash
+    let fairState = {
+        serverSeedHash: null,
+        clientSeed: randomHex(8),
+        nonce: 0,           // Next nonce, as the server reported it
+        ready: null,        // Promise resolved once the current commitment is available (null until first needed)
+        commitError: null   // Message of the last failed commitment
+    };
+    let pendingFairRound = null; // Commitment, client seed and per-ball nonces and HMACs of the round in flight
+    let lastFairReveal = null;   // The last finished fair round plus { buckets, serverSeed, verified, revealError }
+    
+    // Path library state
+    let pathLibrary = null;          // Validated library in use (see buildPathLibrary for the file format)
+    let pathLibraryStatus = 'Not loaded';
+    let pathLibraryBuilding = false;
+    
+    // Wallet state
+    let credits = GAME_CONFIG.startingCredits;
+    let currentBet = GAME_CONFIG.defaultBet; // Per ball
+    let currentBallCount = GAME_CONFIG.defaultBallCount;
+    let lastWin = 0;
+    
+    // Sound - silent until the first click on the game unlocks audio
+    let soundEngine = null; // Created in initSoundControls from the stored settings
+    
+    // Auto-play state - set while rounds are being dropped automatically
+    let autoPlayState = null; // { total, remaining, stopWinAbove, stopBalanceBelow, stopOnMismatch, timer }
+    let autoPlayStopReason = null; // Why the last auto-play run ended
+    
+    let destroyed = false; // Set by destroy() - stops the animation loop and any library build
+    const events = createEventEmitter(GAME_EVENTS); // Lifecycle events for the host (see GAME_EVENTS)
+    let debugMode = GAME_CONFIG.debugMode || hasDebugQueryParam(); // See drawDebugOverlay and updateTelemetryUI
+
+    // Create a fresh, unpredictable 32-bit round seed
+    function generateRoundSeed() {
+        if (window.crypto && window.crypto.getRandomValues) {
+            return window.crypto.getRandomValues(new Uint32Array(1))[0];
+        }
+        return Math.floor(Math.random() * 4294967296) >>> 0;
+    }
+
+    // Create a PRNG instance using the configured algorithm
+    function createRng(seed, algorithm = GAME_CONFIG.rngAlgorithm) {
+        return PlinkoSimulation.createRng(seed, algorithm);
+    }
+
+    // Split a round seed into independent outcome, selection and cosmetic streams
+    function createRoundStreams(roundSeed) {
+        return PlinkoSimulation.createRoundStreams(roundSeed, GAME_CONFIG.rngAlgorithm);
+    }
+
+    // Outcome providers decide which bucket a ball lands in before any path is generated - they are asked
+    // once per ball, in launch order (context.ballIndex of context.ballCount).
+    // getOutcome(context) may be async and resolves to { bucket, meta } where meta is round metadata.
+    const OUTCOME_PROVIDERS = {
+        // Demo behavior - the player's clicked bucket is the outcome, or a weighted draw in Random mode
+        player: {
+            label: 'Player Pick',
+            requiresSelection: true,
+            getOutcome: async (context) => {
+                if (context.selectedBucket !== 'random') {
+                    return { bucket: context.selectedBucket, meta: { provider: 'player' } };
+                }
+                
+                const draw = drawWeightedBucket(GAME_CONFIG.outcomeWeights, context.streams.selection);
+                return {
+                    bucket: draw.bucket,
+                    meta: { provider: 'player', mode: 'random', roll: draw.roll, probability: draw.probability }
+                };
+            }
+        },
+        
+        // Local draw from GAME_CONFIG.outcomeWeights using the round's selection stream
+        weighted: {
+            label: 'Local Weighted RNG',
+            requiresSelection: false,
+            getOutcome: async (context) => {
+                const draw = drawWeightedBucket(GAME_CONFIG.outcomeWeights, context.streams.selection);
+                return {
+                    bucket: draw.bucket,
+                    meta: { provider: 'weighted', roll: draw.roll, probability: draw.probability }
+                };
+            }
+        },
+        
+        // HMAC-SHA256(serverSeed, clientSeed:nonce) mapped onto GAME_CONFIG.outcomeWeights. The fair server
+        // commits to the SHA-256 hash of its server seed before the drop, computes each ball's HMAC under the
+        // nonce it assigns and reveals the seed after landing - the page checks the reveal against both.
+        // The balls of one round share the server seed and take consecutive nonces.
+        provablyFair: {
+            label: 'Provably Fair',
+            requiresSelection: false,
+            getOutcome: async (context) => {
+                if (context.ballIndex === 0) {
+                    // Recommit if the previous commitment failed (e.g. the server was briefly unreachable)
+                    if (!fairState.ready) commitNextServerSeed();
+                    await fairState.ready.catch(() => commitNextServerSeed());
+                    pendingFairRound = {
+                        serverSeedHash: fairState.serverSeedHash,
+                        clientSeed: fairState.clientSeed,
+                        ballCount: context.ballCount,
+                        firstNonce: fairState.nonce, // Ball i must roll nonce firstNonce + i
+                        nonces: [],
+                        hmacs: []
+                    };
+                }
+                const fairRound = pendingFairRound;
+                
+                // The page names the nonce - a server free to pick it could try nonces until one suits it
+                const nonce = fairRound.firstNonce + context.ballIndex;
+                const data = await postFairServer('roll', {
+                    serverSeedHash: fairRound.serverSeedHash,
+                    clientSeed: fairRound.clientSeed,
+                    nonce: nonce,
+                    ballIndex: context.ballIndex,
+                    ballCount: context.ballCount
+                }, context.signal);
+                if (data.nonce !== nonce || !/^[0-9a-f]{64}$/.test(data.hmac)) {
+                    throw new Error(`Fair server sent an invalid roll (expected nonce ${nonce}, got ${data.nonce})`);
+                }
+                fairRound.nonces.push(nonce);
+                fairRound.hmacs.push(data.hmac);
+                fairState.nonce = nonce + 1;
+                const result = fairOutcomeFromHmac(data.hmac);
+                return {
+                    bucket: result.bucket,
+                    meta: {
+                        provider: 'provablyFair',
+                        serverSeedHash: fairRound.serverSeedHash,
+                        clientSeed: fairRound.clientSeed,
+                        nonce: nonce,
+                        roll: result.roll,
+                        probability: result.probability
+                    }
+                };
+            }
+        },
+        
+        // Game server decides - expects JSON { bucket, roundId, ... } back for each ball
+        remote: {
+            label: 'Remote Server',
+            requiresSelection: false,
+            getOutcome: async (context) => {
+                const response = await fetch(GAME_CONFIG.remoteOutcomeUrl, {
+                    method: 'POST',
+                    headers: { 'Content-Type': 'application/json' },
+                    body: JSON.stringify({
+                        seed: formatSeed(context.seed),
+                        selectedBucket: context.selectedBucket,
+                        bucketCount: GAME_CONFIG.bucketCount,
+                        ballIndex: context.ballIndex,
+                        ballCount: context.ballCount
+                    }),
+                    signal: context.signal
+                });
+                if (!response.ok) {
+                    throw new Error(`Outcome server responded ${response.status}`);
+                }
+                const data = await response.json();
+                return {
+                    bucket: data.bucket,
+                    meta: { provider: 'remote', roundId: data.roundId || null, server: data }
+                };
+            }
+        }
+    };
+    
+    // Draw a bucket number from a relative weight table
+    function drawWeightedBucket(weights, rng) {
+        const total = weights.reduce((sum, weight) => sum + Math.max(0, weight), 0);
+        if (!(total > 0)) {
+            throw new Error('Outcome weights must contain at least one positive weight');
+        }
+        
+        const roll = rng.random();
+        let threshold = roll * total;
+        for (let i = 0; i < weights.length; i++) {
+            const weight = Math.max(0, weights[i]);
+            if (threshold < weight) {
+                return { bucket: i + 1, roll: roll, probability: weight / total };
+            }
+            threshold -= weight;
+        }
+        
+        // Floating point edge case - fall back to the last weighted bucket
+        let last = weights.length - 1;
+        while (last > 0 && !(weights[last] > 0)) last--;
+        return { bucket: last + 1, roll: roll, probability: weights[last] / total };
+    }
+    
+    function getOutcomeProvider() {
+        return OUTCOME_PROVIDERS[GAME_CONFIG.outcomeProvider] || null;
+    }
+    
+    // Ask the configured provider for this round's outcome, enforcing the timeout and validating the result
+    function requestOutcome(context) {
+        const providerKey = GAME_CONFIG.outcomeProvider;
+        const provider = getOutcomeProvider();
+        if (!provider) {
+            return Promise.reject(new Error(`Unknown outcome provider "${providerKey}"`));
+        }
+        
+        const controller = typeof AbortController !== 'undefined' ? new AbortController() : null;
+        
+        return new Promise((resolve, reject) => {
+            const timer = setTimeout(() => {
+                if (controller) controller.abort();
+                reject(new Error(`${provider.label} timed out after ${GAME_CONFIG.outcomeTimeoutMs}ms`));
+            }, GAME_CONFIG.outcomeTimeoutMs);
+            
+            Promise.resolve()
+                .then(() => provider.getOutcome({ ...context, signal: controller ? controller.signal : null }))
+                .then(outcome => {
+                    clearTimeout(timer);
+                    resolve(validateOutcome(outcome, providerKey));
+                })
+                .catch(error => {
+                    clearTimeout(timer);
+                    reject(error);
+                });
+        });
+    }
+    
+    // One outcome per ball, requested in launch order so seeded draws and fair nonces stay in sequence -
+    // any failure voids the whole round
+    async function requestRoundOutcomes(context, ballCount) {
+        const outcomes = [];
+        for (let ballIndex = 0; ballIndex < ballCount; ballIndex++) {
+            outcomes.push(await requestOutcome(Object.assign({}, context, { ballIndex: ballIndex, ballCount: ballCount })));
+        }
+        return outcomes;
+    }
+    
+    // Reject anything that isn't a real bucket - a bad outcome must never reach the path generator
+    function validateOutcome(outcome, providerKey) {
+        const bucket = outcome ? Number(outcome.bucket) : NaN;
+        if (!Number.isInteger(bucket) || bucket < 1 || bucket > GAME_CONFIG.bucketCount) {
+            throw new Error(`Outcome provider "${providerKey}" returned invalid bucket ${outcome && outcome.bucket}`);
+        }
+        return {
+            bucket: bucket,
+            meta: Object.assign({ provider: providerKey }, outcome.meta)
+        };
+    }
+    
+    // Hex helpers for seeds, hashes and HMACs
+    function bytesToHex(bytes) {
+        return Array.from(bytes, byte => byte.toString(16).padStart(2, '0')).join('');
+    }
+    
+    function randomHex(byteCount) {
+        const bytes = new Uint8Array(byteCount);
+        if (window.crypto && window.crypto.getRandomValues) {
+            window.crypto.getRandomValues(bytes);
+        } else {
+            for (let i = 0; i < byteCount; i++) bytes[i] = Math.floor(Math.random() * 256);
+        }
+        return bytesToHex(bytes);
+    }
+    
+    function getSubtleCrypto() {
+        if (!window.crypto || !window.crypto.subtle) {
+            throw new Error('Web Crypto is unavailable - provably fair mode needs a secure context');
+        }
+        return window.crypto.subtle;
+    }
+    
+    async function sha256Hex(text) {
+        const digest = await getSubtleCrypto().digest('SHA-256', new TextEncoder().encode(text));
+        return bytesToHex(new Uint8Array(digest));
+    }
+    
+    async function hmacSha256Hex(key, message) {
+        const subtle = getSubtleCrypto();
+        const encoder = new TextEncoder();
+        const cryptoKey = await subtle.importKey('raw', encoder.encode(key), { name: 'HMAC', hash: 'SHA-256' }, false, ['sign']);
+        const signature = await subtle.sign('HMAC', cryptoKey, encoder.encode(message));
+        return bytesToHex(new Uint8Array(signature));
+    }
+    
+    // Derive a bucket from an HMAC - its first 32 bits become a roll in [0, 1)
+    function fairOutcomeFromHmac(hmac) {
+        const roll = parseInt(hmac.substring(0, 8), 16) / 4294967296;
+        const draw = drawWeightedBucket(GAME_CONFIG.outcomeWeights, { random: () => roll });
+        return { bucket: draw.bucket, roll: roll, probability: draw.probability, hmac: hmac };
+    }
+    
+    // Derive a bucket from the three fair values
+    async function computeFairOutcome(serverSeed, clientSeed, nonce) {
+        return fairOutcomeFromHmac(await hmacSha256Hex(serverSeed, `${clientSeed}:${nonce}`));
+    }
+    
+    // POST to one of the fair server's endpoints and return its JSON reply
+    async function postFairServer(action, body, signal = null) {
+        const response = await fetch(`${GAME_CONFIG.fairServerUrl}/${action}`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(body),
+            signal: signal
+        });
+        if (!response.ok) {
+            throw new Error(`Fair server responded ${response.status} to ${action}`);
+        }
+        return response.json();
+    }
+    
+    // Fetch the fair server's commitment (the hash of its next server seed) and its next nonce
+    function commitNextServerSeed() {
+        fairState.serverSeedHash = null;
+        fairState.commitError = null;
+        fairState.ready = postFairServer('commit', { clientSeed: fairState.clientSeed })
+            .then(data => {
+                if (!/^[0-9a-f]{64}$/.test(data.serverSeedHash) || !Number.isInteger(data.nonce) || data.nonce < 0) {
+                    throw new Error('Fair server sent an invalid commitment');
+                }
+                fairState.serverSeedHash = data.serverSeedHash;
+                fairState.nonce = data.nonce;
+                console.log(`Provably fair: server committed seed hash ${data.serverSeedHash}`);
+                updateFairUI();
+            })
+            .catch(error => {
+                console.error(`Provably fair: could not fetch a commitment - ${error.message}`);
+                fairState.commitError = error.message;
+                updateFairUI();
+                throw error;
+            });
+        // Keep unhandled rejections quiet until a round actually awaits the commitment
+        fairState.ready.catch(() => {});
+        return fairState.ready;
+    }
+    
+    // Ask the server to reveal the finished round's seed (one bucket per ball), check it against the commitment
+    // and every HMAC the server sent, then fetch the commitment for the next round. Settlement never waits on this.
+    function revealFairRound(bucketNumbers) {
+        if (!pendingFairRound) return;
+        
+        const fairRound = Object.assign({ buckets: bucketNumbers, serverSeed: null, verified: null, revealError: null }, pendingFairRound);
+        lastFairReveal = fairRound;
+        pendingFairRound = null;
+        fairState.serverSeedHash = null; // Spent - the next round needs a fresh commitment
+        
+        fairState.ready = postFairServer('reveal', { serverSeedHash: fairRound.serverSeedHash })
+            .then(data => verifyFairReveal(fairRound, String(data.serverSeed)))
+            .catch(error => {
+                fairRound.revealError = error.message;
+                console.error(`Provably fair: server seed for ${fairRound.serverSeedHash} was not revealed - ${error.message}`);
+            })
+            .then(() => {
+                updateFairUI();
+                return commitNextServerSeed();
+            });
+        fairState.ready.catch(() => {});
+        updateFairUI();
+    }
+    
+    // A reveal is only accepted if it hashes to the commitment and reproduces every ball's HMAC under
+    // consecutive nonces from the committed one
+    async function verifyFairReveal(fairRound, serverSeed) {
+        const serverSeedHash = await sha256Hex(serverSeed);
+        const hmacs = await Promise.all(fairRound.nonces.map(nonce => hmacSha256Hex(serverSeed, `${fairRound.clientSeed}:${nonce}`)));
+        const consecutive = fairRound.nonces.every((nonce, index) => nonce === fairRound.firstNonce + index);
+        
+        fairRound.serverSeed = serverSeed;
+        fairRound.verified = serverSeedHash === fairRound.serverSeedHash && consecutive &&
+            hmacs.every((hmac, index) => hmac === fairRound.hmacs[index]);
+        if (fairRound.verified) {
+            console.log(`Provably fair: revealed server seed ${serverSeed} (nonce ${formatNonceRange(fairRound)}) matches the commitment`);
+        } else {
+            console.error(`Provably fair: revealed server seed ${serverSeed} DOES NOT match commitment ${fairRound.serverSeedHash}`);
+        }
+        
+        // Prefill the verifier with the revealed round
+        const verifyServerSeed = getElement('fair-verify-server-seed');
+        const verifyClientSeed = getElement('fair-verify-client-seed');
+        const verifyNonce = getElement('fair-verify-nonce');
+        if (verifyServerSeed) verifyServerSeed.value = serverSeed;
+        if (verifyClientSeed) verifyClientSeed.value = fairRound.clientSeed;
+        if (verifyNonce) verifyNonce.value = fairRound.nonces[0];
+    }
+    
+    // "7" for a one-ball round, "7-9" for three balls
+    function formatNonceRange(fairRound) {
+        const first = fairRound.nonces[0];
+        const last = fairRound.nonces[fairRound.nonces.length - 1];
+        return last > first ? `${first}-${last}` : String(first);
+    }
+    
+    // Randomness that shapes the ball's path - must be reproducible from the round seed
+    function outcomeRandom() {
+        return rngStreams.outcome.random();
+    }
+
+    // Randomness for particles and other effects only
+    function cosmeticRandom() {
+        return rngStreams.cosmetic.random();
+    }
+    
+    // Random-mode targets stay hidden from the player until the ball lands
+    function isTargetConcealed() {
+        return !!currentRound && currentRound.concealTarget && gameState === 'dropping';
+    }
+    
+    // Paytable multiplier for a bucket number (buckets missing from the paytable pay nothing)
+    function getMultiplier(bucketNumber) {
+        return GAME_CONFIG.paytable[bucketNumber - 1] || 0;
+    }
+    
+    function formatMultiplier(multiplier) {
+        return `${multiplier}x`;
+    }
+    
+    // Credits are kept to whole cents to avoid floating point drift
+    function roundCredits(amount) {
+        return Math.round(amount * 100) / 100;
+    }
+    
+    function formatCredits(amount) {
+        return amount.toFixed(2);
+    }
+
     // Resize the canvas to maintain proper size and aspect ratio
     function resizeCanvas() {
-        const containerWidth = document.querySelector('.game-container').offsetWidth;
+        const containerWidth = root.querySelector('.game-container').offsetWidth;
         const maxWidth = 800;
         const width = Math.min(containerWidth - 20, maxWidth);
-        const height = width * 1.3; // Reduced height ratio from 1.5 to 1.3
+        const board = PlinkoSimulation.createBoard(width, GAME_CONFIG); // Height ratio is 1.3
         
-        canvas.width = width;
-        canvas.height = height;
+        canvas.width = board.width;
+        canvas.height = board.height;
         
         // Recalculate game dimensions based on canvas size
-        GAME_CONFIG.pegSpacing = Math.floor(width / 16);
-        GAME_CONFIG.pegRadius = Math.floor(width / 100);
-        GAME_CONFIG.ballRadius = Math.floor(width / 60);
+        GAME_CONFIG.pegSpacing = board.pegSpacing;
+        GAME_CONFIG.pegRadius = board.pegRadius;
+        GAME_CONFIG.ballRadius = board.ballRadius;
         
         // Regenerate pegs and buckets for new canvas size
-        initPegs();
-        initBuckets();
+        liveBoard = board;
+        initPegs(board);
+        initBuckets(board);
         
         // Redraw if necessary
         if (!isGameActive) {
@@ -123,95 +966,33 @@ document.addEventListener('DOMContentLoaded', () => {
         for (let i = 0; i < pegLocations.length; i++) {
             pegVisualData[i] = {
                 isActive: false, 
-                activationTime: 0 
+                activationTime: 0,
+                intensity: 0 // 0-1, from the impact speed of the last contact
             };
         }
     }
     
-    // Initialize peg positions in a triangular grid
-    function initPegs() {
-        pegLocations = [];
-        const startX = canvas.width / 2;
-        const startY = canvas.height * 0.08; // Reduced top spacing
-        
-        // Distribute pegs across the full width of the canvas
-        // Calculate proper spacing based on desired number of pegs in bottom row
-        const maxRowPegs = 11; // Reduced from 15 to 11 to increase spacing
-        const horizontalSpacing = canvas.width / (maxRowPegs + 1);
-        const verticalSpacing = horizontalSpacing * 0.866; // approx. sqrt(3)/2
-        
-        // Update the config with the new spacing
-        GAME_CONFIG.pegSpacing = horizontalSpacing;
-        
-        // Create a proper triangular pattern that spans the full width:
-        // Row 0: Center peg at top
-        // Row 1: Two pegs, perfectly centered
-        // Row 2: Three pegs, with center one in middle
-        // Etc. until we reach the maximum row with pegs spanning the full width
-        
-        // Create the peg grid - proper triangle with less blank space
-        for (let row = 0; row < GAME_CONFIG.pegRows; row++) {
-            // Calculate pegs in this row - we want to reach maxRowPegs in the last row
-            // Use a linear progression from 1 to maxRowPegs
-            const progressRatio = row / (GAME_CONFIG.pegRows - 1);
-            const pegsInThisRow = Math.max(1, Math.min(Math.round(1 + progressRatio * (maxRowPegs - 1)), maxRowPegs));
-            
-            // Calculate the starting x-position to center the row
-            // We want to spread the pegs across most of the canvas width
-            const rowWidth = (pegsInThisRow - 1) * horizontalSpacing;
-            const rowStartX = startX - rowWidth / 2;
-            
-            // Place each peg in this row
-            for (let i = 0; i < pegsInThisRow; i++) {
-                const pegX = rowStartX + i * horizontalSpacing;
-                
-                pegLocations.push({
-                    x: pegX,
-                    y: startY + row * verticalSpacing,
-                    radius: GAME_CONFIG.pegRadius,
-                    row: row,
-                    col: i,
-                    glowIntensity: GAME_CONFIG.pegGlowIntensity,
-                    influenceDirection: 0,
-                    influenceStrength: 0
-                });
-            }
-        }
+    // Adopt a board's pegs as the live layout, adding their visual state
+    function initPegs(board) {
+        board.pegs.forEach(peg => {
+            peg.glowIntensity = GAME_CONFIG.pegGlowIntensity;
+            peg.influenceDirection = 0;
+            peg.influenceStrength = 0;
+        });
+        pegLocations = board.pegs;
+        zoneOverlayTarget = null;
         
         // Initialize visual data structure after creating pegs
         initPegVisualData(); 
     }
     
-    // Initialize bucket positions
-    function initBuckets() {
-        bucketLocations = [];
-        
-        // Bucket dimensions - position closer to bottom pegs
-        // Adjust Y position to accommodate taller buckets
-        const bucketY = canvas.height * 0.84;
-        const bucketHeight = canvas.height * GAME_CONFIG.bucketDepth;
-        
-        // Make buckets slightly wider to increase landing reliability
-        // Will use 110% of the standard width calculation
-        
-        // Simple approach: 5 equal buckets across the entire canvas width
-        // Simple division - exactly 5 equal buckets across the full canvas
-        const bucketWidth = canvas.width / GAME_CONFIG.bucketCount;
-        
-        // Position the buckets
-        for (let i = 0; i < GAME_CONFIG.bucketCount; i++) {
+    // Adopt a board's buckets as the live layout, adding colors and highlight state
+    function initBuckets(board) {
+        board.buckets.forEach((bucket, i) => {
             // Get the color for this bucket (or use fallback)
-            const bucketColor = GAME_CONFIG.bucketColors[i] || '#4a4e69';
-            
-            // Simple positioning - evenly distribute buckets
-            const bucketCenterX = (i + 0.5) * bucketWidth;
+            const bucketColor = GAME_CONFIG.bucketColors[i % GAME_CONFIG.bucketColors.length] || '#4a4e69';
             
-            bucketLocations.push({
-                x: bucketCenterX,
-                y: bucketY, 
-                width: bucketWidth,
-                height: bucketHeight,
-                number: i + 1,
+            Object.assign(bucket, {
                 color: bucketColor,
                 rimColor: shadeColor(bucketColor, -20), // Slightly darker rim
                 highlight: false, // Whether bucket is highlighted
@@ -221,7 +1002,8 @@ document.addEventListener('DOMContentLoaded', () => {
                 landedBall: null, // Reference to ball if one landed here
                 score: 0 // How many balls landed in this bucket
             });
-        }
+        });
+        bucketLocations = board.buckets;
     }
     
     // Utility function to lighten or darken colors
@@ -282,61 +1064,146 @@ document.addEventListener('DOMContentLoaded', () => {
         }
     }
     
-    // Get color for a peg - Simplified, no influence logic
+    // Get color for a peg - its heat in heatmap mode, the plain peg color otherwise
     function getPegColor(pegIndex) {
-        // Default color 
-        return GAME_CONFIG.pegColor;
-    }
-    
-    // Check if a peg is active (ball is nearby on its path)
-    function updateActivePegs() {
-        if (!ball || !isGameActive) {
-             // Deactivate all pegs visually if game not active
-             Object.values(pegVisualData).forEach(p => {
-                 p.isActive = false;
-                 p.activationTime = 0;
-             });
-            return;
+        if (!GAME_CONFIG.pegHeatmap || !debugMode) return GAME_CONFIG.pegColor;
+        
+        const entry = pegHeat[pegHeatFilter];
+        return getHeatmapColor(entry && entry.maxHits > 0 ? entry.hits[pegIndex] / entry.maxHits : 0);
+    }
+    
+    // Color at fraction (0-1) along GAME_CONFIG.pegHeatmapGradient, blending neighbouring stops
+    function getHeatmapColor(fraction) {
+        const stops = GAME_CONFIG.pegHeatmapGradient;
+        const position = Math.min(1, Math.max(0, fraction)) * (stops.length - 1);
+        const index = Math.min(stops.length - 2, Math.floor(position));
+        const blend = position - index;
+        
+        const channel = (color, offset) => parseInt(color.substring(offset, offset + 2), 16);
+        const mixed = [1, 3, 5].map(offset => {
+            const from = channel(stops[index], offset);
+            return Math.round(from + (channel(stops[index + 1], offset) - from) * blend);
+        });
+        return `rgb(${mixed.join(', ')})`;
+    }
+    
+    // Add a landed ball's peg contacts to the heatmap, under all balls and under its target bucket
+    function recordPegHeat(flight) {
+        ['all', flight.target].forEach(key => {
+            if (!pegHeat[key]) pegHeat[key] = { balls: 0, hits: new Array(pegLocations.length).fill(0), maxHits: 0 };
+            const entry = pegHeat[key];
+            entry.balls++;
+            flight.contacts.forEach(contact => {
+                if (contact.type !== 'peg') return;
+                entry.hits[contact.pegIndex]++;
+                entry.maxHits = Math.max(entry.maxHits, entry.hits[contact.pegIndex]);
+            });
+        });
+        updateHeatmapUI();
+    }
+    
+    // Totals for one heatmap entry - maxShare is the busiest peg's share of all contacts, the number
+    // that shows whether paths funnel through the same pegs
+    function summarizePegHeat(key) {
+        const entry = pegHeat[key];
+        if (!entry) return { balls: 0, hits: 0, pegsHit: 0, maxHits: 0, maxShare: 0 };
+        
+        const hits = entry.hits.reduce((sum, count) => sum + count, 0);
+        return {
+            balls: entry.balls,
+            hits: hits,
+            pegsHit: entry.hits.filter(count => count > 0).length,
+            maxHits: entry.maxHits,
+            maxShare: hits > 0 ? entry.maxHits / hits : 0
+        };
+    }
+    
+    // Fire the effects of every contact event a ball has reached since the last frame - pegs glow
+    // and shed particles exactly when the path touches them, never on a near miss
+    function playPathContacts(flight, flightTime) {
+        if (flightTime < flight.contactTime) {
+            // Scrubbed backwards - skip ahead to the first contact still to come without firing anything
+            flight.contactIndex = flight.contacts.findIndex(contact => contact.time > flightTime);
+            if (flight.contactIndex === -1) flight.contactIndex = flight.contacts.length;
         }
+        flight.contactTime = flightTime;
         
-        // Get ball's current animated position
-        const currentPos = { x: ball.x, y: ball.y };
-
-        // Iterate through pegs and check proximity to the ball's current position
-        for (let i = 0; i < pegLocations.length; i++) {
-            const peg = pegLocations[i];
-            const pegData = pegVisualData[i];
-            if (!pegData) continue;
-
-            const dx = currentPos.x - peg.x;
-            const dy = currentPos.y - peg.y;
-            const distance = Math.sqrt(dx * dx + dy * dy);
+        while (flight.contactIndex < flight.contacts.length && flight.contacts[flight.contactIndex].time <= flightTime) {
+            const contact = flight.contacts[flight.contactIndex++];
+            if (contact.type !== 'peg') continue;
+            
+            handlePegContact(contact);
+            if (!replayState) {
+                events.emit('pegHit', {
+                    ballIndex: flight.index,
+                    pegIndex: contact.pegIndex,
+                    time: contact.time,
+                    impactSpeed: contact.impactSpeed,
+                    x: contact.x,
+                    y: contact.y
+                });
+            }
+        }
+    }
+    
+    // How hard a contact hit, 0-1 (GAME_CONFIG.pegImpactFullSpeed board widths per second and up is 1)
+    function getImpactIntensity(contact) {
+        return Math.min(1, contact.impactSpeed / (GAME_CONFIG.pegImpactFullSpeed * canvas.width));
+    }
+    
+    // Round time (ms) that passes per real ms right now - 0 while a replay is paused
+    function getClockRate() {
+        if (replayState) return replayState.playing ? replayState.speed : 0;
+        return GAME_CONFIG.speedModes[speedMode].timeScale;
+    }
+    
+    // Peg plinks are scheduled on the audio clock up to GAME_CONFIG.soundLookaheadMs ahead, each delayed until
+    // the animation clock reaches its contact at the current clock rate - so they land on the hit at any speed
+    function scheduleContactSounds(flight, flightTime) {
+        if (flightTime < flight.soundTime) {
+            // Scrubbed backwards - schedule again from the first contact still to come
+            flight.soundIndex = flight.contacts.findIndex(contact => contact.time > flightTime);
+            if (flight.soundIndex === -1) flight.soundIndex = flight.contacts.length;
+        }
+        flight.soundTime = flightTime;
+        
+        const rate = getClockRate();
+        if (!GAME_CONFIG.pegSoundEnabled || !soundEngine || !soundEngine.isAudible() || rate <= 0) return;
+        
+        const lookahead = GAME_CONFIG.soundLookaheadMs * rate; // In round time
+        while (flight.soundIndex < flight.contacts.length && flight.contacts[flight.soundIndex].time <= flightTime + lookahead) {
+            const contact = flight.contacts[flight.soundIndex++];
+            const peg = pegLocations[contact.pegIndex];
             
-            // Activate if close enough (adjust radius as needed)
-            // Use a slightly larger radius than physical collision for visual effect
-            const activationRadius = ball.radius + peg.radius + 10; 
-
-            if (distance < activationRadius) {
-                 // Trigger visual effect only once per pass using isActive flag
-                 if (!pegData.isActive) { 
-                     pegData.isActive = true;
-                     pegData.activationTime = Date.now();
-                     
-                     // Trigger particle effect visually near the peg
-                     createParticles(peg.x, peg.y, GAME_CONFIG.particleCount, '#ffffff', 0.5);
-                     
-                     // NOTE: pegData.isActive is reset automatically after a short duration in drawPegs
-                 }
-            } 
-            // No need to explicitly deactivate here, drawPegs handles glow fadeout
+            // Contacts the clock passed long ago (while muted, or after a stalled frame) stay silent
+            if (contact.type !== 'peg' || !peg || contact.time < flightTime - lookahead) continue;
+            soundEngine.playPeg(peg.row, GAME_CONFIG.pegRows, getImpactIntensity(contact), (contact.time - flightTime) / rate);
         }
     }
     
+    // One peg contact event - glow and particles scale with how hard the ball hit (its sound is scheduled
+    // ahead of time by scheduleContactSounds)
+    function handlePegContact(contact) {
+        const peg = pegLocations[contact.pegIndex];
+        const pegData = pegVisualData[contact.pegIndex];
+        if (!peg || !pegData) return;
+        
+        const intensity = getImpactIntensity(contact);
+        pegData.isActive = true;
+        pegData.activationTime = Date.now();
+        pegData.intensity = intensity;
+        
+        // Particles leave the peg on the side the ball struck it
+        const particleCount = Math.max(1, Math.round(GAME_CONFIG.particleCount * (0.5 + intensity)));
+        createParticles(
+            peg.x + contact.normal.x * peg.radius,
+            peg.y + contact.normal.y * peg.radius,
+            particleCount, '#ffffff', 0.3 + intensity
+        );
+    }
+    
     // Draw all pegs - Simplified glow based on activation
     function drawPegs() {
-        // Update active pegs based on ball's path position (will be called in loop)
-        updateActivePegs(); 
-
         // Draw each peg
         pegLocations.forEach((peg, index) => {
             const pegColor = getPegColor(index);
@@ -361,7 +1228,8 @@ document.addEventListener('DOMContentLoaded', () => {
                 const elapsed = Date.now() - pegData.activationTime;
                 const maxGlowDuration = 300; // Duration of the glow effect
                 if (elapsed < maxGlowDuration) {
-                     const pulseIntensity = 0.5 * (1 - elapsed / maxGlowDuration); // Fade out
+                     // Fade out from a peak set by the impact speed
+                     const pulseIntensity = (0.35 + 0.45 * pegData.intensity) * (1 - elapsed / maxGlowDuration);
                      glowIntensity = Math.max(glowIntensity, pulseIntensity);
                 } else {
                     pegData.isActive = false; // Ensure it deactivates after duration
@@ -386,7 +1254,10 @@ document.addEventListener('DOMContentLoaded', () => {
                 ctx.fill();
             }
 
-            // REMOVED: Influence direction indicators
+            // Zone overlay - which way this peg leans the bounces of paths aimed at the overlay target
+            if (GAME_CONFIG.showPathZones && debugMode && peg.influenceStrength > 0) {
+                drawInfluenceArrow(peg);
+            }
         });
     }
     
@@ -427,6 +1298,11 @@ document.addEventListener('DOMContentLoaded', () => {
         ctx.shadowColor = 'rgba(0, 0, 0, 0.5)';
         ctx.shadowBlur = 4;
         ctx.fillText(bucket.number.toString(), bucket.x, bucket.y + bucket.height / 2 + 8);
+        
+        // Draw the paytable multiplier below the number
+        ctx.fillStyle = '#ffd700';
+        ctx.font = `bold ${Math.floor(bucket.width / 8)}px Arial`;
+        ctx.fillText(formatMultiplier(getMultiplier(bucket.number)), bucket.x, bucket.y + bucket.height * 0.8);
         ctx.shadowBlur = 0;
     }
     
@@ -443,10 +1319,10 @@ document.addEventListener('DOMContentLoaded', () => {
         // Display ambient particles in bucket
         const particleCount = bucket.landedBall ? 2 : 1;
         for (let i = 0; i < particleCount; i++) {
-            const particleX = bucket.x - bucket.width/2 + Math.random() * bucket.width;
-            const particleY = bucket.y + bucket.height * 0.3 + Math.random() * bucket.height * 0.7;
-            const particleSize = Math.random() * 3 + 1;
-            const particleAlpha = Math.random() * 0.3 + 0.1;
+            const particleX = bucket.x - bucket.width/2 + cosmeticRandom() * bucket.width;
+            const particleY = bucket.y + bucket.height * 0.3 + cosmeticRandom() * bucket.height * 0.7;
+            const particleSize = cosmeticRandom() * 3 + 1;
+            const particleAlpha = cosmeticRandom() * 0.3 + 0.1;
             
             ctx.beginPath();
             ctx.arc(particleX, particleY, particleSize, 0, Math.PI * 2);
@@ -465,8 +1341,8 @@ document.addEventListener('DOMContentLoaded', () => {
     // Draw all buckets
     function drawBuckets() {
         bucketLocations.forEach((bucket, index) => {
-            // Determine if this bucket is the target for active ball
-            const isTargetBucket = targetBucket === index + 1;
+            // Determine if this bucket is the target of a ball in the round (never revealed early in Random mode)
+            const isTargetBucket = roundTargets.includes(index + 1) && !isTargetConcealed();
             const isSelectedBucket = selectedBucket === index + 1;
             
             // Determine bucket color
@@ -487,7 +1363,7 @@ document.addEventListener('DOMContentLoaded', () => {
             }
             
             // Special visual if bucket is target during active game
-            if (isTargetBucket && ball && isGameActive) {
+            if (isTargetBucket && balls.length && isGameActive) {
                 // Subtle pulsing effect for target bucket
                 const pulse = Math.sin(Date.now() / 300) * 20;
                 const r = 247 - pulse;
@@ -529,10 +1405,10 @@ document.addEventListener('DOMContentLoaded', () => {
                     // Draw shimmering particles in the target bucket
                     if (isTargetBucket && elapsed < highlightDuration / 2) {
                         for (let i = 0; i < 3; i++) {
-                            const particleX = bucket.x - bucket.width/2 + Math.random() * bucket.width;
-                            const particleY = bucket.y + Math.random() * bucket.height;
-                            const particleSize = Math.random() * 4 + 1;
-                            const particleAlpha = Math.random() * 0.7 + 0.3;
+                            const particleX = bucket.x - bucket.width/2 + cosmeticRandom() * bucket.width;
+                            const particleY = bucket.y + cosmeticRandom() * bucket.height;
+                            const particleSize = cosmeticRandom() * 4 + 1;
+                            const particleAlpha = cosmeticRandom() * 0.7 + 0.3;
                             
                             ctx.beginPath();
                             ctx.arc(particleX, particleY, particleSize, 0, Math.PI * 2);
@@ -546,7 +1422,7 @@ document.addEventListener('DOMContentLoaded', () => {
             }
             
             // Subtle indicator for target bucket during gameplay
-            if (isTargetBucket && isGameActive && ball) {
+            if (isTargetBucket && isGameActive && balls.length) {
                 // Draw arrow or indicator pointing to this bucket
                 const arrowY = bucket.y - 15;
                 const arrowWidth = bucket.width * 0.4;
@@ -588,19 +1464,19 @@ document.addEventListener('DOMContentLoaded', () => {
         
         for (let i = 0; i < count; i++) {
             // Random direction
-            const angle = Math.random() * Math.PI * 2;
-            const speed = (Math.random() * 2 + 1) * speedFactor;
+            const angle = cosmeticRandom() * Math.PI * 2;
+            const speed = (cosmeticRandom() * 2 + 1) * speedFactor;
             
             particles.push({
                 x: x,
                 y: y,
                 vx: Math.cos(angle) * speed,
                 vy: Math.sin(angle) * speed,
-                radius: Math.random() * 3 + 1,
+                radius: cosmeticRandom() * 3 + 1,
                 color: color || '#ffffff',
                 alpha: 1,
                 life: GAME_CONFIG.particleLifetime,
-                gravity: 0.05 * Math.random()
+                gravity: 0.05 * cosmeticRandom()
             });
         }
     }
@@ -632,50 +1508,28 @@ document.addEventListener('DOMContentLoaded', () => {
         });
     }
     
-    // Draw the ball and its trail effects
+    // Draw the balls and their trail effects
     function drawBall() {
-        if (!ball) return;
+        if (balls.length === 0) return;
         
-        // Draw ball trail for motion blur effect
-        if (ballTrail.length > 0) {
-            for (let i = 0; i < ballTrail.length; i++) {
-                const trailPoint = ballTrail[i];
-                const alpha = 0.3 * (i / ballTrail.length);
-                const trailRadius = ball.radius * (0.7 + (i / ballTrail.length) * 0.3);
+        // Balls waiting for their launch are not on the board yet
+        balls.forEach(flight => {
+            if (flight.launched) drawBallFlight(flight);
+        });
+        
+        // Draw sparkle effect on recent collisions
+        collisionHistory.forEach(collision => {
+            if (collision.age < 5) {
+                const sparkRadius = GAME_CONFIG.ballRadius * 0.8 * (1 - collision.age / 5);
+                const sparkAlpha = 0.8 * (1 - collision.age / 5);
                 
                 ctx.beginPath();
-                ctx.arc(trailPoint.x, trailPoint.y, trailRadius, 0, Math.PI * 2);
-                ctx.fillStyle = `rgba(247, 37, 133, ${alpha})`;
+                ctx.arc(collision.x, collision.y, sparkRadius, 0, Math.PI * 2);
+                ctx.fillStyle = `rgba(255, 255, 255, ${sparkAlpha})`;
                 ctx.fill();
             }
-        }
-        
-        // Draw the actual ball
-        ctx.beginPath();
-        ctx.arc(ball.x, ball.y, ball.radius, 0, Math.PI * 2);
-        ctx.fillStyle = ball.color;
-        ctx.fill();
-        
-        // Add highlight
-        ctx.beginPath();
-        const highlightRadius = ball.radius * 0.3;
-        ctx.arc(ball.x - ball.radius * 0.3, ball.y - ball.radius * 0.3, highlightRadius, 0, Math.PI * 2);
-        ctx.fillStyle = 'rgba(255, 255, 255, 0.5)';
-        ctx.fill();
-        
-        // Draw sparkle effect on recent collisions
-        collisionHistory.forEach(collision => {
-            if (collision.age < 5) {
-                const sparkRadius = ball.radius * 0.8 * (1 - collision.age / 5);
-                const sparkAlpha = 0.8 * (1 - collision.age / 5);
-                
-                ctx.beginPath();
-                ctx.arc(collision.x, collision.y, sparkRadius, 0, Math.PI * 2);
-                ctx.fillStyle = `rgba(255, 255, 255, ${sparkAlpha})`;
-                ctx.fill();
-            }
-            collision.age++;
-        });
+            collision.age++;
+        });
         
         // Remove old collision effects
         collisionHistory = collisionHistory.filter(c => c.age <= 5);
@@ -684,219 +1538,288 @@ document.addEventListener('DOMContentLoaded', () => {
         updateParticles();
     }
     
-    // Add a position to the ball trail
-    function updateBallTrail() {
-        if (!ball) return;
+    // Draw one ball with its trail
+    function drawBallFlight(flight) {
+        const ball = flight.ball;
+        
+        // Draw ball trail for motion blur effect
+        for (let i = 0; i < flight.trail.length; i++) {
+            const trailPoint = flight.trail[i];
+            const alpha = 0.3 * (i / flight.trail.length);
+            const trailRadius = ball.radius * (0.7 + (i / flight.trail.length) * 0.3);
+            
+            ctx.beginPath();
+            ctx.arc(trailPoint.x, trailPoint.y, trailRadius, 0, Math.PI * 2);
+            ctx.fillStyle = `rgba(247, 37, 133, ${alpha})`;
+            ctx.fill();
+        }
+        
+        // Draw the actual ball
+        ctx.beginPath();
+        ctx.arc(ball.x, ball.y, ball.radius, 0, Math.PI * 2);
+        ctx.fillStyle = ball.color;
+        ctx.fill();
         
+        // Add highlight
+        ctx.beginPath();
+        const highlightRadius = ball.radius * 0.3;
+        ctx.arc(ball.x - ball.radius * 0.3, ball.y - ball.radius * 0.3, highlightRadius, 0, Math.PI * 2);
+        ctx.fillStyle = 'rgba(255, 255, 255, 0.5)';
+        ctx.fill();
+    }
+    
+    // Add a position to a ball's trail
+    function updateBallTrail(flight) {
         // Add current position to trail
-        ballTrail.unshift({ x: ball.x, y: ball.y });
+        flight.trail.unshift({ x: flight.ball.x, y: flight.ball.y });
         
         // Limit trail length
-        if (ballTrail.length > GAME_CONFIG.ballTrailLength) {
-            ballTrail.pop();
+        if (flight.trail.length > GAME_CONFIG.ballTrailLength) {
+            flight.trail.pop();
         }
     }
     
-    // Update ball physics - REPLACED BY updateBallAnimation
-    function updateBallAnimation(currentTime) {
-        if (!ball || !animationPath || !isGameActive) return;
+    // Animation state of one ball - its path plays from `delay` ms after the round starts
+    function createBallFlight(index, target, path, contacts, delay) {
+        return {
+            index: index,        // Position of the ball in its round
+            target: target,
+            path: path,          // {x, y, time, vx, vy} keyframes (velocities in px/s)
+            sampler: PlinkoSimulation.createPathSampler(path), // Spline playback of the path
+            contacts: contacts,  // Contact events of the path in time order (see detectPathContacts in simulation.js)
+            contactIndex: 0,     // Next contact event to fire
+            contactTime: 0,      // Path time the contacts were last played up to
+            soundIndex: 0,       // Next contact whose sound is still to be scheduled
+            soundTime: 0,        // Path time sounds were last scheduled from
+            delay: delay,
+            duration: path[path.length - 1].time,
+            launched: false,
+            enteredBucket: false, // Whether the ball has dropped below the top of the buckets
+            landed: false,
+            trail: [],
+            ball: {
+                x: path[0].x,
+                y: path[0].y,
+                radius: GAME_CONFIG.ballRadius,
+                color: GAME_CONFIG.ballColor,
+                velocityX: 0,
+                velocityY: 0,
+                targetBucket: target
+            }
+        };
+    }
+    
+    // Advance every ball of the round (or replay) to the given round time
+    function updateBallAnimation(elapsedTime) {
+        if (balls.length === 0 || !isGameActive) return;
 
-        const elapsedTime = currentTime - animationStartTime;
-        // DEBUG: Log animation timing
-        // console.log(`Update Animation: Elapsed=${elapsedTime.toFixed(0)}, Duration=${animationDuration.toFixed(0)}`);
+        balls.forEach(flight => updateBallFlight(flight, elapsedTime));
+        
+        // Replays hold on the final frame - no landing handling, statistics or credits
+        if (replayState) {
+            if (elapsedTime >= animationDuration) replayState.playing = false;
+            return;
+        }
+        
+        // The round is over once its last ball is in a bucket
+        if (balls.every(flight => flight.landed)) {
+            handleRoundComplete();
+        }
+    }
+    
+    // Move one ball along its path and land it when the path ends
+    function updateBallFlight(flight, elapsedTime) {
+        const flightTime = elapsedTime - flight.delay;
+        const ball = flight.ball;
+        
+        // Still waiting for its launch (replays can also be scrubbed back to before it)
+        flight.launched = flightTime >= 0;
+        if (!flight.launched) {
+            flight.trail = [];
+            flight.enteredBucket = false;
+            flight.landed = false;
+            return;
+        }
 
-        // Check if animation is complete
-        if (elapsedTime >= animationDuration) {
-            // Animation finished, ensure ball is exactly at the final position
-            const finalPoint = animationPath[animationPath.length - 1];
+        // Check if this ball's path is complete
+        if (flightTime >= flight.duration) {
+            // Path finished, ensure ball is exactly at the final position
+            const finalPoint = flight.path[flight.path.length - 1];
             ball.x = finalPoint.x;
             ball.y = finalPoint.y;
+            checkBucketEntry(flight);
             
-            // Ball landing is detected here - animation is complete
-            
-            // Simplified - just check if we need to log any info
-            if (console.isDebug) {
-                console.log(`Ball final position: (${finalPoint.x.toFixed(2)}, ${finalPoint.y.toFixed(2)})`);
-                console.log(`Target bucket: ${targetBucket}`);
-            }
-            
-            // CRITICAL FIX: Validate where the ball ACTUALLY landed visually
-            if (!landingHandled) {
-                // Check which bucket the ball actually ended up in visually
-                let actualBucket = null;
-                let minDistance = Infinity;
-                
-                // First pass: check if the ball is directly inside a bucket
-                for (let i = 0; i < bucketLocations.length; i++) {
-                    const bucket = bucketLocations[i];
-                    const bucketLeft = bucket.x - bucket.width/2;
-                    const bucketRight = bucket.x + bucket.width/2;
-                    
-                    // Simple horizontal check - which bucket contains finalPoint.x
-                    if (finalPoint.x >= bucketLeft && finalPoint.x <= bucketRight) {
-                        actualBucket = i + 1;
-                        break;
-                    }
-                    
-                    // Calculate distance to this bucket center
-                    const distance = Math.abs(finalPoint.x - bucket.x);
-                    if (distance < minDistance) {
-                        minDistance = distance;
-                        // Track closest bucket as fallback
-                        if (actualBucket === null) {
-                            actualBucket = i + 1;
-                        }
-                    }
-                }
-                
-                // Safety check - if finalPoint.x is very close to bucket boundary (<3px),
-                // consider it landed in that bucket for regulatory purposes
-                if (actualBucket !== targetBucket) {
-                    const targetBucketObj = bucketLocations[targetBucket - 1];
-                    const distanceToTarget = Math.abs(finalPoint.x - targetBucketObj.x);
-                    const bucketWidth = targetBucketObj.width;
-                    
-                    // If the ball is very close to the target bucket (within 40% of width),
-                    // and not clearly inside another bucket, consider it landed in target
-                    if (distanceToTarget < bucketWidth * 0.4) {
-                        // This is within a reasonable margin of error for physics
-                        actualBucket = targetBucket;
-                    }
-                }
-                
-                // Log the actual vs target buckets
-                console.log(`FINAL LANDING: Ball visually landed in bucket ${actualBucket}, target was ${targetBucket}`);
-                
-                // Use the ACTUAL bucket the ball landed in
-                const landedInTarget = (actualBucket === targetBucket);
-                
-                // Handle the landing with proper success/failure outcome
-                handleBallLanding(actualBucket, landedInTarget);
-                
-                // If the ball didn't land in target, this is a critical issue for regulated gaming
-                if (!landedInTarget) {
-                    console.error(`CRITICAL REGULATORY ISSUE: Ball visually landed in bucket ${actualBucket} but target was ${targetBucket}`);
+            if (!flight.landed) {
+                // A frame (or Instant mode) can jump past the last contacts - play them before the landing
+                playPathContacts(flight, flight.duration);
+                flight.landed = true;
+                if (replayState) {
+                    showReplayLanding(flight);
+                } else {
+                    handleFlightLanding(flight, finalPoint);
                 }
             }
-            isGameActive = false; // Stop active updates
-            gameState = 'completed';
-            updateControls();
-
-             // Add final landing visual effects (moved from handleBallLanding)
-             const bucket = bucketLocations[targetBucket - 1];
-             if (bucket) {
-                 // Check if we haven't already played the animation (e.g., if handleBallLanding ran slightly early)
-                 if (!bucket.highlight) { 
-                     playBucketVictoryAnimation(bucket, true);
-                     showResultNotification(targetBucket, true);
-                 }
-
-                 // Create landing particles
-                 const particleCount = 30;
-                 const particleColors = ['rgb(255, 200, 50)', 'rgb(255, 100, 100)', 'rgb(100, 200, 255)'];
-                 if (typeof createParticles === 'function') {
-                     for (let j = 0; j < particleCount; j++) {
-                         const colorIndex = Math.floor(Math.random() * particleColors.length);
-                         createParticles(
-                             ball.x + (Math.random() - 0.5) * 10,
-                             ball.y + (Math.random() - 0.5) * 10,
-                             1, 
-                             particleColors[colorIndex],
-                             1.5 + Math.random()
-                         );
-                     }
-                 }
-                 // Create landing sparks
-                 for (let j = 0; j < 15; j++) {
-                    const angle = Math.random() * Math.PI * 2;
-                    const distance = Math.random() * bucket.width * 0.4;
-                    collisionHistory.push({
-                        x: ball.x + Math.cos(angle) * distance,
-                        y: ball.y + Math.sin(angle) * distance,
-                        age: Math.floor(Math.random() * 3)
-                    });
-                 }
-
-                 // Cleanup ball object after delay
-                 const landedTime = Date.now();
-                 const cleanupDelay = 1500; // ms
-                 
-                 // Clear previous timer if exists
-                 if (currentCleanupInterval) clearInterval(currentCleanupInterval);
-                 
-                 currentCleanupInterval = setTimeout(() => {
-                     // Check gameState in case user reset quickly
-                     if (ball && gameState === 'completed') { 
-                         console.log('Ball cleanup: Setting ball to null via animation end timeout.');
-                         // Find the bucket again, as bucket ref might be stale if resize occurred
-                         const currentBucket = bucketLocations.find(b => b.number === targetBucket);
-                         if (currentBucket) currentBucket.landedBall = null; 
-                         ball = null;
-                         ballTrail = [];
-                         // Keep collision history for sparks to fade
-                     }
-                     currentCleanupInterval = null;
-                 }, cleanupDelay);
-             }
-
-            return; // Stop further animation updates this frame
+            return;
         }
+        flight.landed = false; // Only a replay scrubbed back before the landing gets here after landing
+
+        // Spline position and velocity at this moment - the sampler remembers the current segment
+        const sample = flight.sampler.sample(flightTime);
+        
+        ball.x = sample.x;
+        ball.y = sample.y;
+        ball.velocityX = sample.vx; // px/s
+        ball.velocityY = sample.vy;
 
-        // Find the current segment in the animation path
-        let segmentStart = animationPath[0]; // Default to start
-        let segmentEnd = animationPath[1];   // Default to second point
-        let foundSegment = false;
-        for (let i = 0; i < animationPath.length - 1; i++) {
-            if (elapsedTime >= animationPath[i].time && elapsedTime < animationPath[i+1].time) {
-                segmentStart = animationPath[i];
-                segmentEnd = animationPath[i+1];
-                foundSegment = true; // DEBUG
+        // Update ball trail
+        updateBallTrail(flight);
+        checkBucketEntry(flight);
+        
+        // Fire peg glows/particles for the contacts the path has reached
+        playPathContacts(flight, flightTime);
+        scheduleContactSounds(flight, flightTime);
+    }
+    
+    // Note the moment a ball drops below the top of the buckets (instant drops get here on their final frame)
+    function checkBucketEntry(flight) {
+        if (flight.enteredBucket || !bucketLocations.length || flight.ball.y < bucketLocations[0].y) return;
+        
+        flight.enteredBucket = true;
+        if (replayState) return;
+        events.emit('bucketEnter', {
+            ballIndex: flight.index,
+            bucket: PlinkoSimulation.findLandingBucket(flight.ball.x, liveBoard),
+            target: flight.target
+        });
+    }
+    
+    // Replays only light up the bucket the ball originally landed in
+    function showReplayLanding(flight) {
+        const landedBuckets = toBallList(replayState.entry.landed);
+        const replayBucket = bucketLocations[(landedBuckets ? landedBuckets[flight.index] : flight.target) - 1];
+        if (replayBucket) {
+            replayBucket.highlight = true;
+            replayBucket.highlightColor = 'rgba(255, 215, 0, 0.4)';
+            replayBucket.highlightTime = Date.now();
+            soundEngine.playLanding(getMultiplier(replayBucket.number));
+        }
+    }
+    
+    // A ball reached the end of its path - validate where it visually landed, then pay it out
+    function handleFlightLanding(flight, finalPoint) {
+        const ball = flight.ball;
+        
+        // Simplified - just check if we need to log any info
+        if (console.isDebug) {
+            console.log(`Ball ${flight.index + 1} final position: (${finalPoint.x.toFixed(2)}, ${finalPoint.y.toFixed(2)})`);
+            console.log(`Target bucket: ${flight.target}`);
+        }
+        
+        // CRITICAL FIX: Validate where the ball ACTUALLY landed visually
+        let actualBucket = null;
+        let minDistance = Infinity;
+        
+        // First pass: check if the ball is directly inside a bucket
+        for (let i = 0; i < bucketLocations.length; i++) {
+            const bucket = bucketLocations[i];
+            const bucketLeft = bucket.x - bucket.width/2;
+            const bucketRight = bucket.x + bucket.width/2;
+            
+            // Simple horizontal check - which bucket contains finalPoint.x
+            if (finalPoint.x >= bucketLeft && finalPoint.x <= bucketRight) {
+                actualBucket = i + 1;
                 break;
             }
-             // Handle edge case where elapsedTime might exceed last segment but not duration
-            if (i === animationPath.length - 2 && elapsedTime >= animationPath[i+1].time) {
-                segmentStart = animationPath[i+1];
-                segmentEnd = animationPath[i+1]; // Stay at the end point
+            
+            // Calculate distance to this bucket center
+            const distance = Math.abs(finalPoint.x - bucket.x);
+            if (distance < minDistance) {
+                minDistance = distance;
+                // Track closest bucket as fallback
+                if (actualBucket === null) {
+                    actualBucket = i + 1;
+                }
             }
         }
         
-        // Calculate interpolation factor (how far through the current segment)
-        const segmentDuration = segmentEnd.time - segmentStart.time;
-        // Prevent division by zero and handle segmentEnd case
-        const timeIntoSegment = elapsedTime - segmentStart.time;
-        let t = 0; 
-        if (segmentDuration > 0) {
-             t = timeIntoSegment / segmentDuration;
-        } else if (elapsedTime >= segmentStart.time) {
-             t = 1; // If segment duration is 0, snap to end
+        // Safety check - if finalPoint.x is very close to bucket boundary (<3px),
+        // consider it landed in that bucket for regulatory purposes
+        if (actualBucket !== flight.target) {
+            const targetBucketObj = bucketLocations[flight.target - 1];
+            const distanceToTarget = Math.abs(finalPoint.x - targetBucketObj.x);
+            const bucketWidth = targetBucketObj.width;
+            
+            // If the ball is very close to the target bucket (within 40% of width),
+            // and not clearly inside another bucket, consider it landed in target
+            if (distanceToTarget < bucketWidth * 0.4) {
+                // This is within a reasonable margin of error for physics
+                actualBucket = flight.target;
+            }
         }
-        t = Math.max(0, Math.min(1, t)); // Clamp t between 0 and 1
-
-        // DEBUG: Log segment finding and interpolation
-        if (!foundSegment && elapsedTime < animationDuration) {
-            console.warn(`No segment found! Elapsed=${elapsedTime.toFixed(0)}, Duration=${animationDuration.toFixed(0)}, Path Points=${animationPath.length}`);
+        
+        debugLandingMarkers.push({ x: finalPoint.x, y: finalPoint.y, bucket: actualBucket, target: flight.target });
+        
+        // Log the actual vs target buckets
+        console.log(`FINAL LANDING: Ball ${flight.index + 1} visually landed in bucket ${actualBucket}, target was ${flight.target}`);
+        
+        // Use the ACTUAL bucket the ball landed in
+        const landedInTarget = (actualBucket === flight.target);
+        
+        // Handle the landing with proper success/failure outcome
+        recordPegHeat(flight);
+        handleBallLanding(flight, actualBucket, landedInTarget);
+        
+        // If the ball didn't land in target, this is a critical issue for regulated gaming
+        if (!landedInTarget) {
+            console.error(`CRITICAL REGULATORY ISSUE: Ball visually landed in bucket ${actualBucket} but target was ${flight.target}`);
         }
-        // console.log(` Interpolating: t=${t.toFixed(2)}, Start=(${segmentStart.x.toFixed(1)}, ${segmentStart.y.toFixed(1)}), End=(${segmentEnd.x.toFixed(1)}, ${segmentEnd.y.toFixed(1)})`);
-
-        // Interpolate position (linear interpolation for now)
-        const newX = segmentStart.x + (segmentEnd.x - segmentStart.x) * t;
-        const newY = segmentStart.y + (segmentEnd.y - segmentStart.y) * t;
         
-        // DEBUG: Log calculated position
-        // console.log(`  -> New Pos: (${newX.toFixed(1)}, ${newY.toFixed(1)})`);
-
-        ball.x = newX;
-        ball.y = newY;
-
-        // Update ball trail
-        updateBallTrail();
+        // Final landing visual effects
+        const bucket = bucketLocations[actualBucket - 1];
+        if (!bucket) return;
+        playBucketVictoryAnimation(bucket, landedInTarget, ball);
+        showResultNotification(actualBucket, landedInTarget);
+        soundEngine.playLanding(getMultiplier(actualBucket));
         
-        // Update visual effects (peg glows/particles) based on proximity
-        updateActivePegs(); // Check peg proximity based on new ball position
+        // Create landing particles
+        const particleCount = 30;
+        const particleColors = ['rgb(255, 200, 50)', 'rgb(255, 100, 100)', 'rgb(100, 200, 255)'];
+        for (let j = 0; j < particleCount; j++) {
+            const colorIndex = Math.floor(cosmeticRandom() * particleColors.length);
+            createParticles(
+                ball.x + (cosmeticRandom() - 0.5) * 10,
+                ball.y + (cosmeticRandom() - 0.5) * 10,
+                1, 
+                particleColors[colorIndex],
+                1.5 + cosmeticRandom()
+            );
+        }
+        // Create landing sparks
+        for (let j = 0; j < 15; j++) {
+            const angle = cosmeticRandom() * Math.PI * 2;
+            const distance = cosmeticRandom() * bucket.width * 0.4;
+            collisionHistory.push({
+                x: ball.x + Math.cos(angle) * distance,
+                y: ball.y + Math.sin(angle) * distance,
+                age: Math.floor(cosmeticRandom() * 3)
+            });
+        }
+    }
+    
+    // Landed balls rest in their bucket for GAME_CONFIG.landedBallLingerMs, then leave the board
+    function removeLandedBalls(elapsedTime) {
+        balls = balls.filter(flight => {
+            if (!flight.landed || elapsedTime < flight.delay + flight.duration + GAME_CONFIG.landedBallLingerMs) return true;
+            
+            bucketLocations.forEach(bucket => {
+                if (bucket.landedBall === flight.ball) bucket.landedBall = null;
+            });
+            return false;
+        });
     }
     
     // Play victory/achievement animation for bucket
-    function playBucketVictoryAnimation(bucket, isTargetMatch) {
+    function playBucketVictoryAnimation(bucket, isTargetMatch, ball) {
         // Set bucket state for visual effects
         bucket.highlight = true;
         bucket.highlightTime = Date.now();
@@ -957,7 +1880,7 @@ document.addEventListener('DOMContentLoaded', () => {
         resultElement.textContent = isMatch ? 'SUCCESS!' : 'MISSED';
         
         // Add to DOM
-        document.querySelector('.game-container').appendChild(resultElement);
+        root.querySelector('.game-container').appendChild(resultElement);
         
         // Animate the notification
         setTimeout(() => {
@@ -979,262 +1902,29 @@ document.addEventListener('DOMContentLoaded', () => {
         }, 2000);
     }
     
-    // Check if ball landed in a bucket
-    function checkBucketLanding() {
-        if (!ball) return false;
-        
-        // Only check when ball is in the lower part of the screen
-        if (ball.y < canvas.height * 0.85) return false;
-        
-        // Safety check - if ball has gone too far down without landing, force it to land
-        if (ball.y > canvas.height * 1.1) {
-            console.error("Ball went too far down without landing - forcing landing");
-            // Force to target bucket position
-            const targetBucketObj = bucketLocations[targetBucket - 1];
-            if (targetBucketObj) {
-                ball.x = targetBucketObj.x;
-                ball.y = targetBucketObj.y + targetBucketObj.height * 0.5;
-                
-                // Add a forced landing marker
-                placeDebugMarker(ball.x, ball.y, targetBucket, targetBucket, "FORCED");
-            }
-        }
-        
-        // CRITICAL LEGAL REQUIREMENT: If the ball is very low, we MUST ensure it's on target
-        // This is absolutely required for legal compliance - no misses allowed
-        if (ball.y > canvas.height * 0.80) {
-            // Get the target bucket position
-            const targetBucketObj = bucketLocations[targetBucket - 1];
-            
-            // Calculate distance to target
-            const dx = targetBucketObj.x - ball.x;
-            
-            // Calculate how much of the remaining journey we've completed (0-1)
-            const journeyProgress = (ball.y - canvas.height * 0.80) / (canvas.height * 0.20);
-            
-            // Apply increasingly strong guidance as ball approaches bottom
-            // This creates the appearance of natural bounces while ensuring the outcome
-            const correctionStrength = Math.pow(journeyProgress, 2) * 0.3; // Starts small, increases exponentially
-            
-            // Apply gradual velocity adjustment - stronger as we get closer to bottom
-            ball.velocityX += dx * correctionStrength * deltaTime;
-            
-            // If we're extremely close to buckets and not on target, increase steering force
-            if (ball.y > canvas.height * 0.95 && Math.abs(dx) > 20) {
-                // Apply stronger but still relatively smooth correction when needed
-                // This appears as light bounces or influences rather than teleportation
-                const emergencyCorrection = Math.sign(dx) * Math.min(Math.abs(dx) * 0.08, 2.0) * deltaTime;
-                ball.velocityX += emergencyCorrection;
-                
-                // Add a guidance marker 
-                if (Math.random() < 0.05) {
-                    console.log("ENHANCED GUIDANCE: Applied near-bottom course correction");
-                    placeDebugMarker(ball.x, ball.y, "?", targetBucket, "GUIDANCE");
-                }
-            }
-        }
-        
-        // Function to place a debug marker at specified coordinates
-        function placeDebugMarker(x, y, actual, target, label) {
-            // Create the marker element if it doesn't exist
-            let marker = document.getElementById("debug-marker");
-            if (!marker) {
-                marker = document.createElement('div');
-                marker.id = "debug-marker";
-                marker.style.position = 'absolute';
-                marker.style.zIndex = '10000';
-                marker.style.pointerEvents = 'none';
-                document.body.appendChild(marker);
-            }
-            
-            // Position and style the marker
-            const markerHtml = `
-                <div style="position: absolute; left: ${x}px; top: ${y}px; transform: translate(-50%, -50%);">
-                    <div style="width: 20px; height: 20px; background-color: #00ff00; border: 2px solid black; transform: rotate(45deg);"></div>
-                    <div style="position: absolute; top: -40px; left: -100px; width: 220px; text-align: center; color: #00ff00; 
-                          font-weight: bold; font-size: 16px; text-shadow: -1px -1px 0 #000, 1px -1px 0 #000, -1px 1px 0 #000, 1px 1px 0 #000;">
-                        ${label}: Actual=${actual}, Target=${target}
-                        <br>Position: (${Math.round(x)}, ${Math.round(y)})
-                    </div>
-                </div>
-            `;
-            
-            // Add this marker to the existing markers
-            marker.innerHTML += markerHtml;
-        }
+    // Show a centered on-screen message when a round cannot be played
+    function showRoundError(message) {
+        const errorElement = document.createElement('div');
+        errorElement.className = 'round-error';
+        errorElement.textContent = message;
+        errorElement.style.left = (canvas.offsetLeft + canvas.width / 2) + 'px';
+        errorElement.style.top = (canvas.offsetTop + canvas.height / 2) + 'px';
         
-        // When below 95% of screen height, ONLY check for the target bucket
-        // This prevents any possibility of landing in the wrong bucket
-        const finalApproach = ball.y > canvas.height * 0.95;
-        
-        for (let i = 0; i < bucketLocations.length; i++) {
-            const bucket = bucketLocations[i];
-            const bucketNumber = i + 1;
-            
-            // CRITICAL: During final approach, only check the target bucket
-            // This ensures we can never land in the wrong bucket
-            if (finalApproach && bucketNumber !== targetBucket) {
-                continue;
-            }
-            
-            // Check if ball is within bucket boundaries
-            if (
-                ball.x > bucket.x - bucket.width/2 &&
-                ball.x < bucket.x + bucket.width/2 &&
-                ball.y > bucket.y &&
-                ball.y < bucket.y + bucket.height
-            ) {
-                // Place a debug marker at the landing detection point
-                placeDebugMarker(ball.x, ball.y, bucketNumber, targetBucket, "LANDING");
-                console.log("LANDING DETECTED AT:", ball.x, ball.y, "BUCKET:", bucketNumber, "TARGET:", targetBucket);
-                
-                // Ball landed in a bucket
-                const landedInTargetBucket = bucketNumber === targetBucket;
-                
-                // CRITICAL: We should NEVER land in the wrong bucket
-                // If we somehow detect the wrong bucket, this is a catastrophic failure
-                if (!landedInTargetBucket) {
-                    // Log this critical error but NEVER modify the ball position visibly
-                    console.error("CRITICAL ERROR: Ball detected in wrong bucket - THIS SHOULD NEVER HAPPEN");
-                    
-                    // Continue with the target bucket number only
-                    // We must NOT teleport the ball - that would create visual deception
-                    // Instead, just override the bucketNumber for statistics
-                    // The user will see the ball where it actually landed
-                    return false;
-                }
-                
-                // Update game statistics
-                handleBallLanding(bucketNumber, landedInTargetBucket);
-                
-                // Visual feedback for landing
-                ball.velocityX = 0;
-                ball.velocityY = Math.min(ball.velocityY * 0.3, 2); // Slow down but keep some movement
-                
-                // BUGFIX: Don't override the ball's visual position - leave it where it actually landed
-                // This was causing the ball to appear centered in the target bucket
-                // even if it had actually landed in a different one
-                // ball.x = bucket.x; // REMOVED: don't center horizontally in bucket
-                
-                // Add a visible marker at landing position that persists
-                const landingPos = document.createElement('div');
-                landingPos.style.position = 'absolute';
-                landingPos.style.left = ball.x + 'px';
-                landingPos.style.top = ball.y + 'px';
-                landingPos.style.width = '20px';
-                landingPos.style.height = '20px';
-                landingPos.style.backgroundColor = 'lime'; // Bright green
-                landingPos.style.transform = 'translate(-50%, -50%) rotate(45deg)'; // Diamond shape
-                landingPos.style.zIndex = '1000'; // Ensure it's on top
-                landingPos.style.border = '2px solid black';
-                landingPos.id = 'landing-marker';
-                
-                // Add text label
-                const landingText = document.createElement('div');
-                landingText.style.position = 'absolute';
-                landingText.style.left = (ball.x + 30) + 'px';
-                landingText.style.top = ball.y + 'px';
-                landingText.style.fontSize = '16px';
-                landingText.style.fontWeight = 'bold';
-                landingText.style.color = 'lime';
-                landingText.style.textShadow = '1px 1px 1px black, -1px -1px 1px black, 1px -1px 1px black, -1px 1px 1px black';
-                landingText.style.zIndex = '1000';
-                landingText.innerHTML = `Landed: ${bucketNumber}<br>Target: ${targetBucket}<br>(${Math.round(ball.x)}, ${Math.round(ball.y)})`;
-                landingText.id = 'landing-text';
-                
-                // Add to document
-                document.querySelector('.game-container').appendChild(landingPos);
-                document.querySelector('.game-container').appendChild(landingText);
-                
-                // Play bucket victory animation
-                playBucketVictoryAnimation(bucket, landedInTargetBucket);
-                
-                // Show result notification
-                showResultNotification(bucketNumber, landedInTargetBucket);
-                
-                // Celebration particle effects based on outcome
-                const particleColors = landedInTargetBucket ? 
-                    ['rgb(255, 200, 50)', 'rgb(255, 100, 100)', 'rgb(100, 200, 255)'] : 
-                    [ball.color];
-                
-                // Create a burst of particles
-                const particleCount = landedInTargetBucket ? 30 : 15;
-                const baseFactor = landedInTargetBucket ? 1.5 : 1.0;
-                
-                if (typeof createParticles === 'function') {
-                    // Add visual impact with burst of particles
-                    for (let j = 0; j < particleCount; j++) {
-                        const colorIndex = Math.floor(Math.random() * particleColors.length);
-                        createParticles(
-                            ball.x + (Math.random() - 0.5) * 10, 
-                            ball.y + (Math.random() - 0.5) * 10,
-                            1, // Just one particle per call 
-                            particleColors[colorIndex],
-                            baseFactor + Math.random()
-                        );
-                    }
-                }
-                
-                // Create a burst of collision sparks
-                for (let j = 0; j < 15; j++) {
-                    const angle = Math.random() * Math.PI * 2;
-                    const distance = Math.random() * bucket.width * 0.4;
-                    collisionHistory.push({
-                        x: ball.x + Math.cos(angle) * distance,
-                        y: ball.y + Math.sin(angle) * distance,
-                        age: Math.floor(Math.random() * 3)
-                    });
-                }
-                
-                // End game immediately instead of waiting
-                isGameActive = false;
-                gameState = 'completed';
-                
-                // Update controls for completed state
-                updateControls();
-                
-                // Continue animation loop to prevent stuck animation
-                animationFrameId = requestAnimationFrame(gameLoop);
-                
-                // Set up animation to gradually slow down the ball and then remove it
-                const slowDownInterval = setInterval(() => {
-                    if (ball) {
-                        // Slow down particle and animation effects
-                        const decayFactor = 0.9;
-                        if (particles.length > 0) {
-                            particles.forEach(p => {
-                                p.vx *= decayFactor;
-                                p.vy *= decayFactor;
-                            });
-                        }
-                        
-                        // Clean up ball after a delay (about 1.5 seconds)
-                        if (Date.now() - bucket.highlightTime > 1500) {
-                            // Save the bucket info but clear the ball
-                            bucket.landedBall = null;
-                            console.log('Ball cleanup: Setting ball to null via slowDownInterval.'); // Added log
-                            ball = null;
-                            ballTrail = [];
-                            collisionHistory = [];
-                            clearInterval(slowDownInterval);
-                            currentCleanupInterval = null; // Reset the global ID
-                        }
-                    } else {
-                        clearInterval(slowDownInterval);
-                        currentCleanupInterval = null; // Reset the global ID
-                    }
-                }, 100);
-                currentCleanupInterval = slowDownInterval; // Store the new interval ID
-
-                return true;
-            }
-        }
+        root.querySelector('.game-container').appendChild(errorElement);
         
-        return false;
+        // Fade in, then remove after a delay
+        setTimeout(() => errorElement.classList.add('visible'), 10);
+        setTimeout(() => {
+            errorElement.classList.remove('visible');
+            setTimeout(() => errorElement.remove(), 500);
+        }, 2500);
     }
     
     // Set up initial game state
     function initGame() {
+        checkGameConfig();
+        claimStorageKeys();
+        renderBucketButtons();
         resizeCanvas();
         addEventListeners();
         // Initial draw
@@ -1243,649 +1933,114 @@ document.addEventListener('DOMContentLoaded', () => {
         requestAnimationFrame(gameLoop); 
     }
     
-    // Get initial ball position with increased randomness
-    function calculateInitialBallPosition(targetBucketNum) {
-        // Always start in a random position within the top third of the canvas
-        // This prevents players from predicting the outcome based on starting position
-        
-        // Use full width with safety margin for starting positions
-        const safetyMargin = GAME_CONFIG.ballRadius * 3;
-        const minX = safetyMargin;
-        const maxX = canvas.width - safetyMargin;
-        
-        // Completely random position across the full width
-        // This makes paths much more varied
-        let xPos = minX + Math.random() * (maxX - minX);
-        
-        // Add some occasional extreme positions to increase variety
-        if (Math.random() < 0.3) { // 30% chance of an extreme-ish position
-            // Pick left or right side extreme
-            if (Math.random() < 0.5) {
-                // Left side extreme
-                xPos = minX + Math.random() * (canvas.width * 0.25);
-            } else {
-                // Right side extreme
-                xPos = (canvas.width * 0.75) + Math.random() * (maxX - (canvas.width * 0.75));
-            }
-        }
+// Update UI based on the selected target bucket
+function updateModeUI() {
+    // Mode description was removed
+    // No text to update
+    
+    // Make sure the correct bucket button is highlighted
+    const selectedBucketButton = root.querySelector(`.target-btn[data-bucket="${selectedBucket}"]`);
+    if (selectedBucketButton && !selectedBucketButton.classList.contains('selected')) {
+        // Remove selected class from all buttons
+        root.querySelectorAll('.target-btn').forEach(btn => {
+            btn.classList.remove('selected');
+        });
         
-        return xPos;
+        // Add selected class to the targeted bucket button
+        selectedBucketButton.classList.add('selected');
     }
-    
-    // Generate a plausible animation path with enhanced accuracy for regulated gambling
-    function generateAnimationPath(startX, startY, targetBucketIndex) {
-        var path = []; 
-
-        const targetBucket = bucketLocations[targetBucketIndex - 1];
-        if (!targetBucket) {
-            console.error("Cannot generate path: Target bucket invalid", targetBucketIndex);
-            return [{ x: startX, y: startY, time: 0 }, { x: startX, y: canvas.height + 50, time: 1000 }]; // Fallback path
-        }
-        const targetX = targetBucket.x;
-        const targetY = targetBucket.y; 
-
-        // Increase duration range for more natural-looking paths
-        const totalDurationMs = 2500 + Math.random() * 1000; // Randomize duration (2.5-3.5s)
-        
-        // Increase steps for better path resolution
-        const steps = 150; // More steps for smoother, more natural animation
-        const timeStep = totalDurationMs / steps;
-
-        // Retry logic - maximize retries for best success rate
-        let isValidPath = false;
-        let retries = 0;
-        const maxRetries = 100; // Doubled retry count for much higher success rate
-
-        // Initialize simulation state variables outside the loop 
-        // (they will be reset inside if a retry is needed)
-        let currentX, currentY, currentVx, currentVy, hitCount, hitWall, lastHitTime;
-
-        do {
-            // Reset state for each attempt (including the first)
-            path = [{ x: startX, y: startY, time: 0 }];
-            currentX = startX;
-            currentY = startY;
-            
-            // Enhanced initial velocity setup for better path finding from center
-            // Calculate distance from starting position to target bucket
-            const distanceToTarget = targetBucket.x - startX;
-            const bucketWidth = canvas.width / GAME_CONFIG.bucketCount;
-            
-            // Apply variable initial bias based on target bucket
-            // Edge buckets need stronger bias, middle buckets need less
-            let edgeFactor = 0;
-            if (targetBucketIndex === 1 || targetBucketIndex === GAME_CONFIG.bucketCount) {
-                // Edge buckets need more help
-                edgeFactor = 1.0;
-            } else if (targetBucketIndex === 2 || targetBucketIndex === GAME_CONFIG.bucketCount - 1) {
-                // Near-edge buckets need moderate help
-                edgeFactor = 0.7;
-            } else {
-                // Middle buckets need less bias
-                edgeFactor = 0.4;
-            }
-            
-            // Calculate initial velocity that makes sense for this path attempt
-            // Scale direction based on distance and bucket position
-            const baseVelocity = Math.sign(distanceToTarget) * 
-                                Math.min(Math.abs(distanceToTarget) / 100, 1.5) * 
-                                edgeFactor;
-            
-            // Add much more randomness to create greater path variety
-            // Use different path strategy based on attempt number
-            // This creates more diverse paths even to the same bucket
-            const attemptVariation = (retries % 3) * 0.5; // Cycles through 3 different strategies
-            const randomFactor = ((1 - Math.abs(edgeFactor - 0.5)) * 1.5) + attemptVariation;
-            
-            // Add occasional "trick shots" with more extreme initial velocity
-            if (Math.random() < 0.3) { // 30% chance of a trick shot attempt
-                currentVx = baseVelocity * (1 + Math.random()) + (Math.random() - 0.5) * 2.5;
-            } else {
-                // Normal randomized velocity
-                currentVx = baseVelocity + (Math.random() - 0.5) * randomFactor;
-            }
-            
-            // Add a slight extra nudge for extreme edge buckets
-            if (targetBucketIndex === 1 && currentVx > -0.2) {
-                // First bucket needs left bias
-                currentVx -= 0.5 + Math.random() * 0.5;
-            } else if (targetBucketIndex === GAME_CONFIG.bucketCount && currentVx < 0.2) {
-                // Last bucket needs right bias
-                currentVx += 0.5 + Math.random() * 0.5;
-            }
-            
-            // Much more varied vertical velocity for unpredictable arcs
-            // Create a wider range of drop speeds and arcs
-            const verticalVariation = Math.random() < 0.3 ? 0.8 : 0.4; // Occasional high-arc shots
-            const baseVertical = 0.8 + edgeFactor * 0.4;
-            currentVy = baseVertical + Math.random() * verticalVariation;
-            
-            // Occasionally try a high bounce fast fall
-            if (Math.random() < 0.15) { // 15% chance
-                currentVy = baseVertical + 0.5 + Math.random() * 0.8;
-            }
-            hitCount = 0;
-            hitWall = false;
-            lastHitTime = -Infinity; // Reset lastHitTime
-
-            // --- Path Generation Simulation ---
-            for (let i = 1; i <= steps; i++) {
-                const time = i * timeStep;
-                
-                // 1. Apply simplified physics forces
-                currentVy += GAME_CONFIG.gravity * (timeStep / 16); // Adjust gravity effect based on time step
+}
 
-                // CRITICAL FIX: Remove unnatural pull toward target that causes mid-air curve
-                // We use initial bias instead, which is physically plausible
-                const dxToTarget = targetX - currentX;
-                const verticalProgress = Math.min(1, currentY / targetY); // How far down (0 to 1+)
-                
-                // Drastically reduce pull strength to avoid unnatural mid-air movement
-                // This is critical for regulated gambling - paths must look 100% natural
-                let pullStrength = 0.0; // Remove all direct steering
-
-                // Restore previous logic: Dampen pull shortly after hitting a peg
-                const timeSinceHit = time - lastHitTime;
-                if (timeSinceHit < 180) { // Dampen for 180ms after hit
-                    pullStrength *= 0.1; // Reduce pull to 10% immediately after hit
-                }
+// Reset the ball to the top of the screen
+function resetBall() {
+    // Any outcome still in flight belongs to a round that no longer exists
+    outcomeRequestId++;
+    
+    // Resetting during a replay just leaves replay mode
+    stopReplay();
+    
+    // A reset always takes the board back from auto-play
+    stopAutoPlay('reset');
+    
+    // The outcome of a round in flight is already decided - pay the balls still falling rather than forfeit their bets
+    const interrupted = gameState === 'dropping' && !!currentRound && !currentRound.settled;
+    if (interrupted) {
+        currentRound.balls.forEach((roundBall, index) => settleBall(index, roundBall.target));
+        revealFairRound(currentRound.targets);
+        if (!currentRound.rerun) recordRound(currentRound, 'interrupted');
+        emitRoundComplete('interrupted', currentRound.targets);
+    }
 
-                // Restore previous logic: Persistently reduce pull *after* the last recorded hit time
-                if (lastHitTime > -Infinity && time > lastHitTime) {
-                     pullStrength *= 0.20; // Use the 0.20 multiplier from before
-                }
+    // Clear ball and animation state
+    balls = [];
+    collisionHistory = []; // Clear sparks etc.
+    particles = [];
+    roundTargets = [];
+    roundElapsed = 0;
+    roundFrameTime = null;
+    animationDuration = 0;
+    debugLandingMarkers = [];
+    
+    // Reset game state
+    isGameActive = false;
+    gameState = 'ready';
+    dropButton.disabled = false;
+    
+    // No longer canceling animation frame - animation continues to run always
+    
+    // Clear any active bucket highlights
+    if (bucketLocations && bucketLocations.length) {
+        bucketLocations.forEach(bucket => {
+            bucket.highlight = false;
+            bucket.landedBall = null;
+            // Reset bucket score display
+            bucket.score = 0;
+        });
+    }
+    
+    // Update the UI
+    updateControls();
+    updateModeUI();
+    updateTelemetryUI();
+    
+    // Redraw the game
+    drawGame();
+    
+    events.emit('reset', { interrupted: interrupted });
+}
 
-                // Apply calculated horizontal pull
-                currentVx += dxToTarget * pullStrength * (timeStep / 16.0);
-
-                // 3. Simulate visual peg interactions (deflections)
-                pegLocations.forEach(peg => {
-                    const pDx = currentX - peg.x;
-                    const pDy = currentY - peg.y;
-                    const dist = Math.sqrt(pDx*pDx + pDy*pDy);
-                    // Ensure center of ball path is away from peg center
-                    // Use GAME_CONFIG.ballRadius instead of ball.radius which might not exist yet 
-                    const minDist = peg.radius + (GAME_CONFIG.ballRadius * 2) + 2;
-
-                    if (dist < minDist) {
-                        // Calculate overlap and push position out immediately
-                        const overlap = minDist - dist;
-                        const angle = Math.atan2(pDy, pDx);
-                        // Push slightly more than pure overlap
-                        currentX += Math.cos(angle) * overlap * 1.1; 
-                        currentY += Math.sin(angle) * overlap * 1.1;
-
-                        // Record hit time
-                        lastHitTime = time; 
-
-                        // Calculate deflection with MUCH more randomness to create varied paths
-                        let deflectAngle = angle; // Base angle away from peg center
-                        
-                        // Add significant random angle variation (+/- ~30 degrees)
-                        deflectAngle += (Math.random() - 0.5) * 1.0; 
-                        
-                        // Occasionally add extreme angle changes for dramatic bounces
-                        if (Math.random() < 0.2) { // 20% chance
-                            deflectAngle += (Math.random() - 0.5) * 1.5;
-                        }
-                        
-                        // More variable deflection strength
-                        const deflectStrength = 0.5 + Math.random() * 1.2;
-                        
-                        // Apply deflection with more variation between horizontal and vertical
-                        const horizontalFactor = 0.8 + Math.random() * 0.8; // 0.8-1.6
-                        const verticalFactor = 0.6 + Math.random() * 0.8;   // 0.6-1.4
-                        
-                        // Apply the deflection forces
-                        currentVx += Math.cos(deflectAngle) * deflectStrength * horizontalFactor;
-                        currentVy += Math.sin(deflectAngle) * deflectStrength * verticalFactor;
-                        
-                        // Ensure minimum downward velocity after hit
-                        currentVy = Math.max(0.8, currentVy); // Increase min bounce speed slightly
-                    }
-                });
-
-                // 4. Dampen velocity slightly (air resistance simulation)
-                currentVx *= 0.985;
-                currentVy *= 0.99;
-                // Clamp max velocity to prevent extreme speeds
-                currentVy = Math.min(currentVy, 15);
-
-                // 5. Update position
-                currentX += currentVx * (timeStep / 16.0);
-                currentY += currentVy * (timeStep / 16.0);
-
-                // 6. Boundary checks (walls)
-                // Use GAME_CONFIG.ballRadius instead of ball.radius which doesn't exist yet
-                const ballRadius = GAME_CONFIG.ballRadius;
-                if (currentX - ballRadius < 0) {
-                    currentX = ballRadius;
-                    currentVx *= -0.6; // Dampen on wall hit
-                } else if (currentX + ballRadius > canvas.width) {
-                    currentX = canvas.width - ballRadius;
-                    currentVx *= -0.6;
-                }
-                // Prevent going above the top
-                if (currentY < startY) currentY = startY;
-
-                // --- Check if Target Y Reached --- 
-                if (currentY >= targetY) {
-                    // Ball reached or passed the bucket top. Interpolate exact landing point.
-                    const prevPoint = path[path.length - 1];
-                    const dyTotal = currentY - prevPoint.y;
-                    const dyNeeded = targetY - prevPoint.y;
-
-                    // Calculate interpolation factor (avoid division by zero)
-                    const t = (dyTotal === 0) ? 1 : Math.max(0, Math.min(1, dyNeeded / dyTotal));
-
-                    // CRITICAL FIX FOR REGULATED GAMBLING: Ensure a natural-looking path that lands in target bucket
-                    // Calculate interpolated X position for natural physics
-                    let finalX = prevPoint.x + (currentX - prevPoint.x) * t;
-                    const finalTime = prevPoint.time + (time - prevPoint.time) * t;
-                    
-                    // Get target bucket boundaries
-                    const targetBucketObj = bucketLocations[targetBucketIndex - 1];
-                    const bucketLeft = targetBucketObj.x - targetBucketObj.width/2;
-                    const bucketRight = targetBucketObj.x + targetBucketObj.width/2;
-                    
-                    // For more reliable natural targeting, use a safety margin
-                    // This rejects paths that land too close to the edge of the target bucket
-                    const safetyMargin = targetBucketObj.width * 0.1; // 10% margin
-                    const safeLeft = bucketLeft + safetyMargin;
-                    const safeRight = bucketRight - safetyMargin;
-                    
-                    // Check if the final point would clearly land in the target bucket
-                    // We're stricter now - must be well within the target bucket, not just on the edge
-                    if (finalX < safeLeft || finalX > safeRight) {
-                        // For regulated gambling, we must have a predetermined outcome
-                        // but it MUST look natural, so instead of manipulating the existing path,
-                        // we need to generate a completely new path
-                        
-                        // Discard this path and try again with a new initial position/velocity
-                        isValidPath = false;
-                        console.log(`Path rejected: Would miss target bucket ${targetBucketIndex}. Retry ${retries}/${maxRetries}`);
-                        
-                        // Continue path generation for now - this will be retried due to isValidPath=false
-                        // The next attempt will use different initial conditions
-                    } else {
-                        // Calculate how fast we're moving horizontally at the end
-                        // Paths with too much horizontal velocity at the end may be unstable
-                        const finalVelocityX = currentX - prevPoint.x;
-                        const maxSafeVelocity = 2.0; // Max horizontal velocity for stable landing
-                        
-                        if (Math.abs(finalVelocityX) > maxSafeVelocity) {
-                            // Too much horizontal speed at bucket - might bounce out or look unnatural
-                            isValidPath = false;
-                            console.log(`Path rejected: Too much horizontal velocity at landing. Retry ${retries}/${maxRetries}`);
-                        }
-                    }
-                    
-                    // Add the final point (will only be used if this path is valid)
-                    path.push({ x: finalX, y: targetY, time: finalTime });
-                    
-                    // Set the exact animation duration
-                    animationDuration = finalTime; 
-                    // Exit simulation loop
-                    break; 
-                }
-
-                // 7. Final Validation: Ensure point is not inside any peg radius before saving
-                let totalPushX = 0;
-                let totalPushY = 0;
-                pegLocations.forEach(peg => {
-                    const pDx = currentX - peg.x;
-                    const pDy = currentY - peg.y;
-                    const dist = Math.sqrt(pDx*pDx + pDy*pDy);
-                    const minDist = peg.radius + (GAME_CONFIG.ballRadius * 2) + 2;
-                    if (dist < minDist) {
-                        const overlap = minDist - dist;
-                        const angle = Math.atan2(pDy, pDx);
-                        totalPushX += Math.cos(angle) * overlap * 1.05; 
-                        totalPushY += Math.sin(angle) * overlap * 1.05;
-                    }
-                });
-                
-                // Apply the total calculated push after checking all pegs
-                let tempX = currentX + totalPushX;
-                let tempY = currentY + totalPushY;
-                currentX = tempX;
-                currentY = tempY;
-
-                // 8. Record hit count and wall collision
-                hitCount = 0; // Reset count for this step
-                pegLocations.forEach(peg => {
-                    const pDx = currentX - peg.x;
-                    const pDy = currentY - peg.y;
-                    const dist = Math.sqrt(pDx*pDx + pDy*pDy);
-                    const minDist = peg.radius + (GAME_CONFIG.ballRadius * 2) + 2;
-                    if (dist < minDist) {
-                        hitCount++;
-                    }
-                });
-                if (currentX <= GAME_CONFIG.ballRadius || currentX >= canvas.width - GAME_CONFIG.ballRadius) {
-                    hitWall = true;
-                }
-                
-                // 9. Add keyframe
-                if (i < steps) { // Avoid duplicating last point if loop finished early
-                    path.push({ x: currentX, y: currentY, time }); // Add normal step point
-                } else { 
-                    // If loop finishes normally (all steps), force last point to target
-                    // This case should be rare now due to the early exit logic
-                    if (path[path.length - 1].y < targetY) { 
-                         path.push({ x: targetX, y: targetY, time: totalDurationMs });
-                    } 
-                    animationDuration = totalDurationMs; // Set duration if loop finished normally
-                }
-            }
-            // --- End Path Generation --- 
-            
-            // --- Stricter Path Validation ---
-            isValidPath = true; // Assume valid initially
-            const minFinalCheckPoints = 3; // Need at least 3 points to check final direction
-
-            // 1. Check Edge Bucket + Wall Hit + Low Interaction
-            const isEdgeBucket = (targetBucketIndex === 1 || targetBucketIndex === GAME_CONFIG.bucketCount);
-            const minHitsForEdge = 4; 
-            if (isEdgeBucket && hitWall && hitCount < minHitsForEdge) {
-                isValidPath = false;
-                // console.log(`Path rejected for bucket ${targetBucketIndex} (Hits: ${hitCount}, Wall: ${hitWall}). Retry ${retries}/${maxRetries}`);
-            }
-
-            // 2. Check Final Path Direction (if path is long enough)
-            if (isValidPath && path.length >= minFinalCheckPoints) {
-                const lastPoint = path[path.length - 1];
-                const secondLastPoint = path[path.length - 2];
-                
-                // Calculate final segment's horizontal velocity direction
-                const finalVx = lastPoint.x - secondLastPoint.x;
-                // Calculate horizontal direction needed from second-to-last point to target
-                const neededDx = targetX - secondLastPoint.x;
-                
-                const bucketWidth = canvas.width / GAME_CONFIG.bucketCount; // Approx width
-                const offTargetThreshold = bucketWidth * 0.3; // How far off is considered significant
-
-                // If the path ends far from target horizontally, but its last movement is AWAY from target, reject.
-                if (Math.abs(neededDx) > offTargetThreshold && 
-                    Math.sign(finalVx) !== 0 && // Ignore purely vertical final segment
-                    Math.sign(finalVx) !== Math.sign(neededDx)) 
-                { 
-                    isValidPath = false;
-                    // console.log(`Path rejected (Bad Final Dir): Bucket ${targetBucketIndex}, NeededDx: ${neededDx.toFixed(1)}, FinalVx: ${finalVx.toFixed(1)}`);
-                }
-            }
-
-            // Handle retry based on validation result
-            if (!isValidPath) {
-                retries++;
-                console.log(`Path rejected for bucket ${targetBucketIndex}. Retry ${retries}/${maxRetries}`);
-                
-                // Add more randomness in the retries to ensure we find a natural path
-                currentVx = (Math.random() - 0.5) * 2.5; // More horizontal velocity variation
-                if (targetBucketIndex <= 2) {
-                    currentVx += 0.5; // Stronger nudge right for leftmost buckets
-                } else if (targetBucketIndex >= 4) {
-                    currentVx -= 0.5; // Stronger nudge left for rightmost buckets
-                }
-            }
-        } while (!isValidPath && retries < maxRetries);
-
-        // CRITICAL: We MUST have a valid path for regulated gambling
-        // If we failed to find a path after all retries, increase the max retries and try again
-        if (!isValidPath) {
-            console.warn(`Could not generate a valid path for bucket ${targetBucketIndex} after ${maxRetries} retries. Increasing retries.`);
-            
-            // Create a fallback path as a last resort
-            // Instead of manipulating the trajectory midair, calculate a completely new path
-            // that naturally lands in the target bucket
-            path = [];
-            retries = 0;
-            maxRetries = 50; // More aggressive attempt
-            
-            // Start with a position more directly above the target bucket
-            const targetX = bucketLocations[targetBucketIndex - 1].x;
-            const initialOffset = (Math.random() - 0.5) * 30; // Small random offset
-            currentX = targetX + initialOffset;
-            currentY = startY;
-            
-            // Add starting point
-            path.push({ x: currentX, y: currentY, time: 0 });
-            
-            // Try again with more focused initial conditions - this is a fallback
-            // but we ensure it still looks completely natural
-            do {
-                // Same physics simulation but with initial position favoring the target bucket
-                // (Code would repeat physics calculation here - omitted for brevity)
-                // Just reuse the loop from above in the actual implementation
-                retries++;
-                
-                // Vary initial velocity with each retry
-                currentVx = (Math.random() - 0.5) * 1.0; // Less horizontal drift
-                currentVy = 1.5 + Math.random() * 0.3; // More consistent downward velocity
-                
-                // Regenerate path with these new initial conditions
-                // (would be implemented fully in production code)
-                isValidPath = true; // Force exit for this example - real code would rerun simulation
-            } while (!isValidPath && retries < maxRetries);
-            
-            // If we still don't have a valid path, log an error but provide a safe fallback
-            if (!isValidPath) {
-                console.error(`CRITICAL: Failed to generate valid path after extensive retries!`);
-                
-                // Last resort: Create a simple direct path to target bucket
-                // This should never happen with proper tuning, but ensures regulatory compliance
-                const targetBucket = bucketLocations[targetBucketIndex - 1];
-                
-                // Simple 3-point natural-looking arc
-                const midX = startX + (targetBucket.x - startX) * 0.5;
-                const midY = startY + (targetBucket.y - startY) * 0.4;
-                
-                path = [
-                    { x: startX, y: startY, time: 0 },
-                    { x: midX + (Math.random() - 0.5) * 20, y: midY, time: 1000 },
-                    { x: targetBucket.x + (Math.random() - 0.5) * (targetBucket.width * 0.6), 
-                      y: targetBucket.y, time: 2000 }
-                ];
-                
-                animationDuration = 2000;
-            }
-        }
-
-        // console.log(`Generated path with ${path.length} points, duration ${animationDuration.toFixed(0)}ms for bucket ${targetBucketIndex}`); // Comment out logging
-        return path;
-    }
-
-// Create the ball at the top of the screen
-function createBall() {
-    // *** ADDED: Cancel any existing cleanup timer ***
-    if (currentCleanupInterval) {
-        console.log('Cancelling previous cleanup interval due to new ball drop.');
-        clearInterval(currentCleanupInterval);
-        currentCleanupInterval = null;
-        // If a ball object still exists from the previous drop, ensure its bucket reference is cleared
-        // This prevents visual glitches if the bucket still thinks it has a ball
-        bucketLocations.forEach(bucket => {
-            if (bucket.landedBall) { // Check if any bucket still references a ball
-                bucket.landedBall = null;
-            }
-        });
-    }
-    // *** END ADDED CODE ***
-
-    // Clear previous state
-    ballTrail = [];
-    collisionHistory = [];
-    lastCollisionPeg = null;
-    
-    // Reset landing tracking flag for new ball
-    landingHandled = false;
-    
-    // Clear last bucket landed info and reset correction level
-    console.log(`[createBall] Top: selectedBucket = ${selectedBucket}`); // Log selected bucket value
-    gameStats.lastBucketLanded = null;
-    
-    // Set game state
-    gameState = 'dropping';
-    
-    // Increment total drops counter
-    gameStats.totalDrops++;
-    
-    targetBucket = selectedBucket;
-    console.log(`[createBall] Assigned: targetBucket = ${targetBucket}`); // Log assigned target bucket
-    
-    // Visual feedback - highlight the target bucket briefly
-    const targetBucketElement = bucketLocations[targetBucket - 1];
-    if (targetBucketElement) {
-        targetBucketElement.highlight = true;
-        targetBucketElement.highlightColor = 'rgba(255, 255, 255, 0.5)';
-        targetBucketElement.highlightTime = Date.now();
-        
-        // Clear highlight after a short time
-        setTimeout(() => {
-            if (gameState === 'dropping') {
-                targetBucketElement.highlight = false;
-            }
-        }, 300);
-    }
-    
-    // Calculate starting position
-    const initialX = calculateInitialBallPosition(targetBucket);
-    
-    // Ensure the bucket we're targeting exists and is valid
-    if (!bucketLocations[targetBucket - 1]) {
-        console.error(`ERROR: Target bucket ${targetBucket} does not exist in bucketLocations!`);
-        // Default to middle bucket if target is invalid
-        targetBucket = Math.ceil(GAME_CONFIG.bucketCount / 2);
-    }
-    
-    // Create ball with initial velocity - add slight bias toward target
-    const target = bucketLocations[targetBucket - 1];
-    const initialBias = target.x > canvas.width/2 ? 0.5 : -0.5; 
-    
-    ball = {
-        x: initialX,
-        y: canvas.height * 0.05,
-        radius: GAME_CONFIG.ballRadius,
-        color: GAME_CONFIG.ballColor,
-        velocityX: (Math.random() - 0.5) * 1.2 + initialBias, // Initial velocity with bias toward target
-        velocityY: 1.0, // Add initial downward velocity
-        // Track additional state
-        targetBucket: targetBucket,
-        collisionCount: 0,
-        recentCollision: false,
-        collisionTimeout: null,
-    };
-
-    console.log(`Ball dropped: Target=${targetBucket}, StartX=${ball.x.toFixed(2)}, StartY=${ball.y.toFixed(2)}`); // Added log
-
-    // Update UI for current mode
-    updateModeUI();
-    
-    // Update debug panel
-    updateDebugInfo();
-
-    // *** GENERATE ANIMATION PATH ***
-    const startY = canvas.height * 0.05;
-    animationPath = generateAnimationPath(initialX, startY, targetBucket);
-    // Use performance.now() for high-resolution timer consistent with requestAnimationFrame
-    animationStartTime = performance.now(); 
-    
-    // Create the ball object at the start position
-    // ... existing code ...
-}
-
-// Update UI based on the selected target bucket
-function updateModeUI() {
-    // Mode description was removed
-    // No text to update
-    
-    // Make sure the correct bucket button is highlighted
-    const selectedBucketButton = document.querySelector(`.target-btn[data-bucket="${selectedBucket}"]`);
-    if (selectedBucketButton && !selectedBucketButton.classList.contains('selected')) {
-        // Remove selected class from all buttons
-        document.querySelectorAll('.target-btn').forEach(btn => {
-            btn.classList.remove('selected');
-        });
-        
-        // Add selected class to the targeted bucket button
-        selectedBucketButton.classList.add('selected');
-    }
-}
-
-// Reset the ball to the top of the screen
-function resetBall() {
-    // Cancel cleanup timer on reset
-    if (currentCleanupInterval) {
-        console.log('Cancelling cleanup interval due to reset.');
-        clearInterval(currentCleanupInterval);
-        currentCleanupInterval = null;
-    }
-
-    // Clear ball and animation state
-    ball = null;
-    ballTrail = [];
-    collisionHistory = []; // Clear sparks etc.
-    particles = [];
-    targetBucket = null;
-    animationPath = null; // Clear the path
-    animationStartTime = 0;
-    animationDuration = 0;
-    landingHandled = false; // Reset landing flag
-    debugLandingMarker = null; // Clear debug landing marker
-    
-    // Clean up any debug elements if they exist
-    ['green-x-marker', 'bucket-debug-info'].forEach(id => {
-        const el = document.getElementById(id);
-        if (el) el.remove();
-    });
+// Update game controls based on game state
+function updateControls() {
+    // Enable/disable buttons based on game state
+    dropButton.disabled = isGameActive || gameState === 'awaiting' || !canDrop();
+    resetButton.disabled = !isGameActive && balls.length === 0 && gameState !== 'awaiting'; // Only enable reset when there's a ball, pending outcome or active game
     
-    // Reset game state
-    isGameActive = false;
-    gameState = 'ready';
-    dropButton.disabled = false;
+    // Bets, ball counts and client seeds are locked while a round is being decided or played
+    const betSelect = getElement('bet-select');
+    if (betSelect) betSelect.disabled = isGameActive || gameState === 'awaiting';
+    const ballCountSelect = getElement('ball-count-select');
+    if (ballCountSelect) ballCountSelect.disabled = isGameActive || gameState === 'awaiting';
+    const clientSeedInput = getElement('fair-client-seed');
+    if (clientSeedInput) clientSeedInput.disabled = isGameActive || gameState === 'awaiting';
     
-    // No longer canceling animation frame - animation continues to run always
+    // Auto-play starts from an idle board but can always be stopped
+    const autoPlayToggle = getElement('autoplay-toggle');
+    if (autoPlayToggle) autoPlayToggle.disabled = !autoPlayState && (isGameActive || gameState === 'awaiting' || GAME_CONFIG.hostOutcomes);
     
-    // Clear any active bucket highlights
-    if (bucketLocations && bucketLocations.length) {
-        bucketLocations.forEach(bucket => {
-            bucket.highlight = false;
-            bucket.landedBall = null;
-            // Reset bucket score display
-            bucket.score = 0;
+    // A host that decides every outcome leaves the player nothing to pick, re-run or switch
+    if (GAME_CONFIG.hostOutcomes) {
+        bucketButtons.forEach(btn => { btn.disabled = true; });
+        ['debug-rerun', 'debug-seed-input', 'debug-outcome-provider'].forEach(name => {
+            const control = getElement(name);
+            if (control) control.disabled = true;
         });
     }
     
-    // Remove landing marker HTML elements if they exist
-    const landingMarker = document.getElementById('landing-marker');
-    if (landingMarker) landingMarker.remove();
-    
-    const landingText = document.getElementById('landing-text');
-    if (landingText) landingText.remove();
-    
-    // Remove debug markers
-    const debugMarker = document.getElementById('debug-marker');
-    if (debugMarker) debugMarker.remove();
-    
-    // Update the UI
-    updateControls();
-    updateModeUI();
-    
-    // Redraw the game
-    drawGame();
-}
-
-// Update game controls based on game state
-function updateControls() {
-    // Enable/disable buttons based on game state
-    dropButton.disabled = isGameActive || selectedBucket === null;
-    resetButton.disabled = !isGameActive && !ball; // Only enable reset when there's a ball or game is active
-    
     // Add visual cues based on game state
     if (gameState === 'ready') {
         dropButton.classList.add('ready');
         resetButton.classList.remove('active');
-    } else if (gameState === 'dropping') {
+    } else if (gameState === 'dropping' || gameState === 'awaiting' || gameState === 'replay') {
         dropButton.classList.remove('ready');
         resetButton.classList.add('active');
     } else if (gameState === 'completed') {
@@ -1899,27 +2054,180 @@ function drawGame() {
     ctx.clearRect(0, 0, canvas.width, canvas.height);
     
     drawBackground();
+    updatePegInfluence();
+    if (GAME_CONFIG.showPathZones && debugMode) drawPathZoneBands();
     drawPegs();
     drawBuckets();
     drawBall();
     
-    // DEBUG: Draw the animation path
-    if (animationPath && animationPath.length > 1) {
-        ctx.beginPath();
-        ctx.moveTo(animationPath[0].x, animationPath[0].y);
-        for (let i = 1; i < animationPath.length; i++) {
-            ctx.lineTo(animationPath[i].x, animationPath[i].y);
-        }
-        ctx.strokeStyle = 'rgba(255, 255, 0, 0.3)'; // Semi-transparent yellow
-        ctx.lineWidth = 1;
-        ctx.stroke();
+    // Path overlays and landing markers are for debug mode only
+    if (debugMode) {
+        drawDebugOverlay();
+    }
+    
+    // Badge replays on the canvas itself so they can never be mistaken for a live round
+    if (replayState) {
+        drawReplayBadge();
     }
     
     // Draw particles (these are updated in drawBall)
 }
 
+// Draw the "REPLAY" badge in the top-left corner of the board
+function drawReplayBadge() {
+    const label = `REPLAY ${replayState.entry.id} - ${replayState.speed}x`;
+    ctx.save();
+    ctx.font = 'bold 16px Arial';
+    ctx.textAlign = 'left';
+    ctx.textBaseline = 'middle';
+    const badgeWidth = ctx.measureText(label).width + 20;
+    
+    ctx.fillStyle = 'rgba(220, 38, 38, 0.85)';
+    ctx.fillRect(10, 10, badgeWidth, 28);
+    ctx.fillStyle = '#ffffff';
+    ctx.fillText(label, 20, 24);
+    ctx.restore();
+}
+
+// Debug overlay - the kept rejected candidates of each ball on the board (red, labelled "ball.candidate"
+// at their end as in the Path Generation list), every accepted path (yellow) and each landing (diamond,
+// green in the target bucket and red outside it). Replays have no candidates. The paths would give away a
+// drawn target, so they wait for the round to land.
+function drawDebugOverlay() {
+    ctx.save();
+    ctx.lineWidth = 1;
+    ctx.font = '10px monospace';
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'bottom';
+    
+    const concealed = isTargetConcealed();
+    balls.forEach(flight => {
+        const roundBall = !replayState && currentRound ? currentRound.balls[flight.index] : null;
+        if (concealed || !roundBall || !roundBall.candidateLog) return;
+        
+        roundBall.candidateLog.candidates.forEach((candidate, i) => {
+            strokeDebugPath(candidate.path, 'rgba(248, 113, 113, 0.3)');
+            const end = candidate.path[candidate.path.length - 1];
+            ctx.fillStyle = 'rgba(248, 113, 113, 0.9)';
+            ctx.fillText(`${flight.index + 1}.${i + 1}`, end.x, end.y - 2);
+        });
+    });
+    if (!concealed) balls.forEach(flight => strokeDebugPath(flight.path, 'rgba(255, 255, 0, 0.6)'));
+    
+    debugLandingMarkers.forEach(marker => {
+        const size = 6;
+        ctx.fillStyle = marker.bucket === marker.target ? '#4ade80' : '#f87171';
+        ctx.beginPath();
+        ctx.moveTo(marker.x, marker.y - size);
+        ctx.lineTo(marker.x + size, marker.y);
+        ctx.lineTo(marker.x, marker.y + size);
+        ctx.lineTo(marker.x - size, marker.y);
+        ctx.closePath();
+        ctx.fill();
+        ctx.fillText(`landed ${marker.bucket}, target ${marker.target}`, marker.x, marker.y - size - 2);
+    });
+    ctx.restore();
+}
+
+function strokeDebugPath(path, color) {
+    if (path.length < 2) return;
+    ctx.beginPath();
+    ctx.moveTo(path[0].x, path[0].y);
+    for (let i = 1; i < path.length; i++) {
+        ctx.lineTo(path[i].x, path[i].y);
+    }
+    ctx.strokeStyle = color;
+    ctx.stroke();
+}
+
+// Target bucket the zone overlay shows peg influence for - the first ball of the round on the board,
+// otherwise the picked bucket (none in Random mode)
+function getZoneOverlayTarget() {
+    if (roundTargets.length > 0) return roundTargets[0];
+    return typeof selectedBucket === 'number' ? selectedBucket : null;
+}
+
+// Point each peg's influenceDirection and influenceStrength at the overlay target (both 0 without one)
+function updatePegInfluence() {
+    const target = getZoneOverlayTarget();
+    if (target === zoneOverlayTarget) return;
+    zoneOverlayTarget = target;
+    
+    const influence = target !== null ? PlinkoSimulation.computePegInfluence(liveBoard, target) : null;
+    pegLocations.forEach((peg, index) => {
+        peg.influenceDirection = influence ? influence[index].direction : 0;
+        peg.influenceStrength = influence ? influence[index].strength : 0;
+    });
+}
+
+// Shade the peg rows of each path zone and label it on the right (clear of the replay badge)
+function drawPathZoneBands() {
+    const rowY = [];
+    pegLocations.forEach(peg => { rowY[peg.row] = peg.y; });
+    const rowGap = rowY.length > 1 ? rowY[1] - rowY[0] : liveBoard.pegSpacing;
+    
+    ctx.save();
+    ctx.font = '12px monospace';
+    ctx.textAlign = 'right';
+    ctx.textBaseline = 'top';
+    liveBoard.pathZones.forEach((zone, i) => {
+        const lastRow = Math.min(zone.endRow, rowY.length - 1);
+        if (zone.startRow > lastRow) return; // The zone starts below this board's last row
+        
+        const top = rowY[zone.startRow] - rowGap / 2;
+        const bottom = rowY[lastRow] + rowGap / 2;
+        ctx.fillStyle = i % 2 === 0 ? 'rgba(76, 201, 240, 0.07)' : 'rgba(181, 23, 158, 0.08)';
+        ctx.fillRect(0, top, canvas.width, bottom - top);
+        
+        const direction = { target: 'to target', '-1': 'left', '0': 'neutral', '1': 'right' }[zone.direction];
+        ctx.fillStyle = 'rgba(248, 249, 250, 0.6)';
+        ctx.fillText(`Zone ${i + 1}: rows ${zone.startRow}-${lastRow}, ${direction}, ${zone.strength}`, canvas.width - 8, top + 4);
+    });
+    ctx.restore();
+}
+
+// Arrow beside a peg pointing the way it leans bounces - full length at full strength
+function drawInfluenceArrow(peg) {
+    const direction = peg.influenceDirection;
+    const startX = peg.x + direction * (peg.radius + 2);
+    const endX = startX + direction * peg.influenceStrength * liveBoard.pegSpacing * 0.35;
+    const head = Math.min(4, Math.abs(endX - startX));
+    
+    ctx.save();
+    ctx.strokeStyle = 'rgba(251, 191, 36, 0.9)';
+    ctx.fillStyle = 'rgba(251, 191, 36, 0.9)';
+    ctx.lineWidth = 2;
+    ctx.beginPath();
+    ctx.moveTo(startX, peg.y);
+    ctx.lineTo(endX, peg.y);
+    ctx.stroke();
+    ctx.beginPath();
+    ctx.moveTo(endX + direction * head, peg.y);
+    ctx.lineTo(endX - direction * head, peg.y - head);
+    ctx.lineTo(endX - direction * head, peg.y + head);
+    ctx.closePath();
+    ctx.fill();
+    ctx.restore();
+}
+
+// Advance the live round clock by the real frame time scaled by the speed mode - instant mode jumps
+// straight to the round's end, so every ball still lands through handleFlightLanding
+function advanceRoundClock(timestamp) {
+    const frameDelta = roundFrameTime === null ? 0 : timestamp - roundFrameTime;
+    roundFrameTime = timestamp;
+    
+    const mode = GAME_CONFIG.speedModes[speedMode];
+    if (mode.skipToLanding && isGameActive) {
+        roundElapsed = Math.max(roundElapsed, animationDuration);
+    } else {
+        roundElapsed += frameDelta * mode.timeScale;
+    }
+    return roundElapsed;
+}
+
 // Game loop with timestamp for smooth animation
 function gameLoop(timestamp) {
+    if (destroyed) return;
     if (!lastTimestamp) {
         lastTimestamp = timestamp;
     }
@@ -1930,9 +2238,13 @@ function gameLoop(timestamp) {
     deltaTime = (timestamp - lastTimestamp) / (16 * canvasScale); // Normalize to ~60fps and scale for screen size
     lastTimestamp = timestamp;
     
-    // Update game physics if active
-    if (isGameActive) {
-        updateBallAnimation(timestamp);
+    // Update game physics if active (replays drive the same animation with their own clock)
+    if (replayState) {
+        updateReplay(timestamp);
+    } else {
+        const elapsedTime = advanceRoundClock(timestamp);
+        if (isGameActive) updateBallAnimation(elapsedTime);
+        removeLandedBalls(elapsedTime);
     }
     
     // Draw everything
@@ -1948,16 +2260,9 @@ function gameLoop(timestamp) {
     animationFrameId = requestAnimationFrame(gameLoop);
 }
 
-// Track if we've already handled a landing for the current ball
-let landingHandled = false;
-
-// Update game state when a ball lands in a bucket
-function handleBallLanding(bucketNumber, isTargetBucket) {
-    // Prevent double-counting - only count first landing per ball drop
-    if (landingHandled) return;
-    landingHandled = true;
-
-    console.log(`Ball landed: Bucket=${bucketNumber}, TargetMatch=${isTargetBucket}`); // Added log
+// Update game state when one ball of the round lands in a bucket (runs once per ball)
+function handleBallLanding(flight, bucketNumber, isTargetBucket) {
+    console.log(`Ball ${flight.index + 1} landed: Bucket=${bucketNumber}, TargetMatch=${isTargetBucket}`); // Added log
 
     // Update game statistics
     gameStats.lastBucketLanded = bucketNumber;
@@ -1967,17 +2272,70 @@ function handleBallLanding(bucketNumber, isTargetBucket) {
         gameStats.lastResult = 'success';
     } else {
         gameStats.lastResult = 'failure';
-        console.warn(`MISMATCH: Ball landed in bucket ${bucketNumber} but target was ${targetBucket}`);
+        console.warn(`MISMATCH: Ball landed in bucket ${bucketNumber} but target was ${flight.target}`);
     }
     
-    // Update game state
-    gameState = 'completed';
+    // Re-runs repeat an earlier draw, so they would skew the distribution
+    if (!currentRound || !currentRound.rerun) recordOutcomeStats(flight, bucketNumber);
+    
+    // Pay this ball's bet out at the bucket it actually landed in
+    if (currentRound) currentRound.balls[flight.index].landed = bucketNumber;
+    settleBall(flight.index, bucketNumber);
+    
+    const roundBall = currentRound ? currentRound.balls[flight.index] : null;
+    events.emit('landed', {
+        ballIndex: flight.index,
+        target: flight.target,
+        bucket: bucketNumber,
+        isTarget: isTargetBucket,
+        multiplier: roundBall ? roundBall.multiplier : null,
+        payout: roundBall ? roundBall.payout : null
+    });
     
     // Update statistics and debug panel
     updateGameStatistics();
+}
+
+// Every ball of the round has landed - close the round as a whole
+function handleRoundComplete() {
+    isGameActive = false; // Stop active updates
+    gameState = 'completed';
+    
+    if (currentRound) {
+        const landedBuckets = currentRound.balls.map(roundBall => roundBall.landed);
+        console.log(`Round complete: ${currentRound.balls.length} ball(s) landed in ${landedBuckets.join(', ')}, payout ${formatCredits(currentRound.payout)}`);
+        
+        // Provably fair rounds reveal their server seed once the last ball has landed
+        revealFairRound(landedBuckets);
+        
+        // Append the finished round to the persistent audit log (re-runs were never played for credits)
+        if (!currentRound.rerun) recordRound(currentRound, 'landed', landedBuckets);
+        emitRoundComplete('landed', landedBuckets);
+    }
+    
+    updateControls();
+    updateDebugInfo();
+    updateTelemetryUI();
     
     // Force a redraw of the game to show the actual landing
     drawGame();
+    
+    // Queue the next auto-played round unless a stop condition was hit
+    continueAutoPlay();
+}
+
+function emitRoundComplete(status, landedBuckets) {
+    events.emit('roundComplete', {
+        status: status,
+        seed: formatSeed(currentRound.seed),
+        ballCount: currentRound.ballCount,
+        targets: currentRound.targets.slice(),
+        landed: landedBuckets.slice(),
+        bet: currentRound.bet,
+        payout: currentRound.payout,
+        credits: credits,
+        outcomeMeta: currentRound.outcomes[0].meta
+    });
 }
 
 // Update and display game statistics
@@ -1993,7 +2351,7 @@ function updateGameStatistics() {
     updateModeUI();
     
     // Update game statistics display - add more details
-    const debugLastBucket = document.getElementById('debug-landed-bucket');
+    const debugLastBucket = getElement('debug-landed-bucket');
     if (debugLastBucket && gameStats.lastBucketLanded) {
         // Highlight the "Landed" bucket number to make it more obvious
         debugLastBucket.textContent = gameStats.lastBucketLanded;
@@ -2001,7 +2359,7 @@ function updateGameStatistics() {
         debugLastBucket.style.fontSize = '16px';
         
         // Make the color reflect success/failure
-        const isMatch = gameStats.lastBucketLanded === targetBucket;
+        const isMatch = gameStats.lastResult === 'success';
         debugLastBucket.style.color = isMatch ? '#4ade80' : '#f87171';
     }
 }
@@ -2015,21 +2373,34 @@ function updateDebugInfo(successRate = null) {
     }
     
     // Get debug elements
-    const debugMode = document.getElementById('debug-mode');
-    const debugTarget = document.getElementById('debug-target');
-    const debugSuccessRate = document.getElementById('debug-success-rate');
-    const debugLastResult = document.getElementById('debug-last-result');
-    const debugLandedBucket = document.getElementById('debug-landed-bucket');
+    const debugMode = getElement('debug-mode');
+    const debugTarget = getElement('debug-target');
+    const debugSuccessRate = getElement('debug-success-rate');
+    const debugLastResult = getElement('debug-last-result');
+    const debugLandedBucket = getElement('debug-landed-bucket');
+    const debugRoundResult = getElement('debug-round-result');
+    const debugOutcome = getElement('debug-outcome');
+    const debugRandomDraw = getElement('debug-random-draw');
+    const debugSeed = getElement('debug-seed');
+    const debugPathHash = getElement('debug-path-hash');
+    const debugPathSource = getElement('debug-path-source');
+    const debugPathQuality = getElement('debug-path-quality');
     
     // Update game status information
     if (debugMode) {
-        if (isGameActive) {
+        if (replayState) {
+            debugMode.textContent = `Replay ${replayState.entry.id}`;
+            debugMode.style.color = '#4cc9f0'; // Light blue
+        } else if (isGameActive) {
             debugMode.textContent = 'Active';
             debugMode.style.color = '#4ade80'; // Green
-        } else if (ball) {
+        } else if (gameState === 'awaiting') {
+            debugMode.textContent = 'Awaiting Outcome';
+            debugMode.style.color = '#fbbf24'; // Amber
+        } else if (balls.length) {
             debugMode.textContent = 'Completed';
             debugMode.style.color = '#f87171'; // Red
-        } else if (selectedBucket) {
+        } else if (canDrop()) {
             debugMode.textContent = 'Ready';
             debugMode.style.color = '#f72585'; // Pink
         } else {
@@ -2038,10 +2409,13 @@ function updateDebugInfo(successRate = null) {
         }
     }
     
-    // Update target bucket information
+    // Update target bucket information - a drawn target stays hidden until its round has landed
+    const concealed = isTargetConcealed();
     if (debugTarget) {
-        if (targetBucket) {
-            debugTarget.textContent = targetBucket;
+        if (concealed) {
+            debugTarget.textContent = 'Hidden until landing';
+        } else if (roundTargets.length) {
+            debugTarget.textContent = roundTargets.join(', ');
         } else if (selectedBucket && selectedBucket !== 'random') {
             debugTarget.textContent = selectedBucket;
         } else {
@@ -2049,6 +2423,65 @@ function updateDebugInfo(successRate = null) {
         }
     }
     
+    // Update outcome provider status
+    if (debugOutcome) {
+        if (lastOutcomeError) {
+            debugOutcome.textContent = `Voided: ${lastOutcomeError}`;
+            debugOutcome.style.color = '#f87171';
+        } else if (currentRound && currentRound.outcomes[0].meta.roundId) {
+            debugOutcome.textContent = `Round ${currentRound.outcomes.map(outcome => outcome.meta.roundId).join(', ')}`;
+            debugOutcome.style.color = '#adb5bd';
+        } else {
+            const provider = getOutcomeProvider();
+            debugOutcome.textContent = provider ? provider.label : 'Unknown';
+            debugOutcome.style.color = '#adb5bd';
+        }
+    }
+    
+    // Update weighted draw details (Random mode and the local weighted RNG)
+    if (debugRandomDraw) {
+        const draws = currentRound ? currentRound.outcomes.filter(outcome => typeof outcome.meta.roll === 'number') : [];
+        if (concealed) {
+            debugRandomDraw.textContent = 'Hidden until landing';
+        } else if (draws.length) {
+            debugRandomDraw.textContent = draws.map(outcome =>
+                `Bucket ${outcome.bucket} (roll ${outcome.meta.roll.toFixed(4)}, p=${(outcome.meta.probability * 100).toFixed(1)}%)`).join('; ');
+        } else {
+            debugRandomDraw.textContent = 'None';
+        }
+    }
+    
+    // Update round seed information
+    if (debugSeed) {
+        debugSeed.textContent = currentRound ? formatSeed(currentRound.seed) : 'None';
+    }
+    if (debugPathHash) {
+        debugPathHash.textContent = currentRound ? formatSeed(currentRound.pathHash) : 'None';
+    }
+    if (debugPathSource) {
+        debugPathSource.textContent = currentRound ? currentRound.balls.map(describePathSource).join('; ') : 'None';
+    }
+    if (debugPathQuality) {
+        // Multi-ball rounds show their worst path
+        const worstBall = currentRound ? currentRound.balls.reduce((worst, roundBall) =>
+            roundBall.pathQuality && (!worst || roundBall.pathQuality.score < worst.pathQuality.score) ? roundBall : worst, null) : null;
+        const quality = worstBall ? worstBall.pathQuality : null;
+        if (quality) {
+            debugPathQuality.textContent = currentRound.balls.length > 1 ?
+                `${quality.score}/100 (ball ${currentRound.balls.indexOf(worstBall) + 1})` : `${quality.score}/100`;
+            debugPathQuality.style.color = quality.accepted ? '#4ade80' : '#fbbf24';
+            debugPathQuality.title = `${quality.pegContacts} peg contacts, ${quality.wallHits} wall hits\n` +
+                `Peak acceleration ${Math.round(quality.peakAcceleration)} px/s², curvature ${quality.peakCurvature.toFixed(1)} rad/s\n` +
+                `Stalled ${Math.round(quality.stalledMs)}ms, landing ${Math.round(quality.finalVelocityX)} px/s sideways, ` +
+                `${Math.round(quality.landingMargin * 100)}% from the bucket wall` +
+                (quality.reasons.length ? `\nOutside policy: ${quality.reasons.join(', ')}` : '');
+        } else {
+            debugPathQuality.textContent = currentRound ? 'Unscored (fallback path)' : 'None';
+            debugPathQuality.style.color = '#adb5bd';
+            debugPathQuality.title = '';
+        }
+    }
+    
     // Update success rate
     if (debugSuccessRate) {
         debugSuccessRate.textContent = `${successRate}% (${gameStats.successfulDrops}/${gameStats.totalDrops})`;
@@ -2060,6 +2493,18 @@ function updateDebugInfo(successRate = null) {
         debugLastResult.style.color = gameStats.lastResult === 'success' ? '#4ade80' : '#f87171';
     }
     
+    // Combined result of the latest round - every ball's bucket and the total payout
+    if (debugRoundResult) {
+        if (currentRound) {
+            const landedBuckets = currentRound.balls.filter(roundBall => roundBall.landed !== null).map(roundBall => roundBall.landed);
+            debugRoundResult.textContent = `${landedBuckets.length ? landedBuckets.join(', ') : '-'} ` +
+                `(${landedBuckets.length}/${currentRound.balls.length} landed) - won ${formatCredits(currentRound.payout)} ` +
+                `on ${formatCredits(currentRound.bet * currentRound.balls.length)}`;
+        } else {
+            debugRoundResult.textContent = 'None';
+        }
+    }
+    
     // Update landed bucket info
     if (debugLandedBucket) {
         if (gameStats.lastBucketLanded) {
@@ -2072,21 +2517,33 @@ function updateDebugInfo(successRate = null) {
     }
 }
 
+// Path source of one ball for the debug panel
+function describePathSource(roundBall) {
+    if (roundBall.pathSource === 'library') return `Library #${roundBall.libraryIndex}`;
+    if (roundBall.pathSource === 'physics') {
+        return `Physics (${roundBall.pathAttempts} attempts${roundBall.usedFallback ? ', guided fallback' : ''})`;
+    }
+    return `Simulated (${roundBall.pathAttempts} attempts${roundBall.usedFallback ? ', fallback' : ''})`;
+}
+
 // Event handlers
 function handleBucketSelection(event) {
+    soundEngine.playClick();
+    const bucketValue = event.target.dataset.bucket || event.target.textContent;
+    selectBucket(bucketValue === 'random' ? 'random' : parseInt(bucketValue));
+}
+
+// Pick the target bucket ('random' lets the game draw one from GAME_CONFIG.outcomeWeights)
+function selectBucket(bucket) {
     if (isGameActive) return;
     
-    // Remove selected class from all buttons
+    // Mark the matching button as selected
     bucketButtons.forEach(btn => {
-        btn.classList.remove('selected');
+        btn.classList.toggle('selected', btn.dataset.bucket === String(bucket));
     });
     
-    // Add selected class to clicked button
-    event.target.classList.add('selected');
-    
-    // Set the selected bucket
-    selectedBucket = parseInt(event.target.dataset.bucket || event.target.textContent);
-    console.log(`[handleBucketSelection] Selected bucket: ${selectedBucket}`); // Keep this log for now
+    selectedBucket = bucket;
+    console.log(`[selectBucket] Selected bucket: ${selectedBucket}`); // Keep this log for now
     
     // Update controls and mode UI
     updateControls();
@@ -2099,176 +2556,1995 @@ function handleBucketSelection(event) {
     drawGame();
 }
 
-function handleDropBall() {
-    console.log(`[handleDropBall] Top: selectedBucket = ${selectedBucket}`); // Log value before createBall
-    if (isGameActive || selectedBucket === null) return;
-    
-    // For regulated gambling compliance, we'll pre-verify the outcome before showing animation
-    console.log("Pre-verifying paths for regulatory compliance...");
+// Returns true when the current outcome provider has everything it needs to start a round
+function canDrop() {
+    if (GAME_CONFIG.hostOutcomes) return false;
+    const provider = getOutcomeProvider();
+    return !!provider && (!provider.requiresSelection || selectedBucket !== null) && (!isWageredDrop() || credits >= getRoundStake());
+}
+
+// Only outcomes the player can't choose are bet on - a draw (Random mode or a weighted, fair or remote
+// provider) or a host's outcome. A bucket the player picked is played for free, as are debug re-runs.
+function isWageredDrop() {
+    return GAME_CONFIG.outcomeProvider !== 'player' || selectedBucket === 'random';
+}
+
+// Every ball is a separate bet of currentBet
+function getRoundStake() {
+    return roundCredits(currentBet * currentBallCount);
+}
+
+// Pay out one ball of the round at the bucket it ended up in - runs once per ball,
+// and the round counts as settled once all of its balls are
+function settleBall(ballIndex, bucketNumber) {
+    const roundBall = currentRound ? currentRound.balls[ballIndex] : null;
+    if (!roundBall || roundBall.settled) return;
     
-    // Start by noting we're in active game mode
-    isGameActive = true;
-    lastTimestamp = 0;
+    const multiplier = getMultiplier(bucketNumber);
+    const payout = roundCredits(currentRound.bet * multiplier);
     
-    // Try multiple starting positions until we find one that works
-    // Since we're now always starting near center, we might need more attempts
-    let validPathFound = false;
-    let attempts = 0;
-    const maxAttempts = 100; // Increased to accommodate center-only starting positions
+    roundBall.settled = true;
+    roundBall.multiplier = multiplier;
+    roundBall.payout = payout;
+    currentRound.payout = roundCredits(currentRound.payout + payout);
+    currentRound.settled = currentRound.balls.every(ball => ball.settled);
     
-    // Store the final verified values
-    let verifiedStartX = null;
-    let verifiedPath = null;
+    credits = roundCredits(credits + payout);
+    lastWin = currentRound.payout;
+    console.log(`Ball ${ballIndex + 1} settled: Bucket=${bucketNumber}, Bet=${formatCredits(currentRound.bet)}, Multiplier=${formatMultiplier(multiplier)}, Payout=${formatCredits(payout)}`);
     
-    while (!validPathFound && attempts < maxAttempts) {
-        attempts++;
-        
-        // Calculate a starting position
-        const testStartX = calculateInitialBallPosition(selectedBucket);
-        const testStartY = canvas.height * 0.05;
-        
-        // Generate test path
-        const testPath = generateAnimationPath(testStartX, testStartY, selectedBucket);
-        
-        // Verify end position
-        if (testPath.length > 1) {
-            const finalPoint = testPath[testPath.length - 1];
-            const finalX = finalPoint.x;
-            
-            // Check which bucket this lands in
-            let landedBucket = null;
-            for (let i = 0; i < bucketLocations.length; i++) {
-                const bucket = bucketLocations[i];
-                const bucketLeft = bucket.x - bucket.width/2;
-                const bucketRight = bucket.x + bucket.width/2;
-                
-                if (finalX >= bucketLeft && finalX <= bucketRight) {
-                    landedBucket = i + 1;
-                    break;
-                }
-            }
-            
-            // If landed in target bucket, we have a valid path
-            if (landedBucket === selectedBucket) {
-                validPathFound = true;
-                verifiedStartX = testStartX;
-                verifiedPath = testPath;
-                console.log(`Found valid natural path after ${attempts} attempts!`);
-                break;
-            }
-        }
+    updateWalletUI(payout > currentRound.bet);
+}
+
+// Read the append-only round log from localStorage - a log that can't be read sets roundLogError
+// and reads as empty
+function loadRoundLog() {
+    let entries;
+    try {
+        const stored = window.localStorage.getItem(GAME_CONFIG.historyStorageKey);
+        entries = stored ? JSON.parse(stored) : [];
+        if (!Array.isArray(entries)) throw new Error('the stored log is not a list of rounds');
+    } catch (error) {
+        if (roundLogError === null) console.error(`Round log could not be read: ${error.message}`);
+        roundLogError = error.message;
+        return [];
+    }
+    roundLogError = null;
+    return entries;
+}
+
+// Append one entry to the round log - existing entries are never modified or removed. While the stored log
+// can't be read the entry is refused rather than written over it; returns null then, and when the write fails.
+function appendRoundLog(entry) {
+    const entries = loadRoundLog();
+    if (roundLogError !== null) {
+        unloggedRounds++;
+        console.error(`AUDIT LOG WRITE REFUSED for a ${entry.status} round (seed ${entry.seed}): the stored log can't be read (${roundLogError})`);
+        renderHistoryDrawer(entries);
+        return null;
+    }
+    try {
+        window.localStorage.setItem(GAME_CONFIG.historyStorageKey, JSON.stringify(entries.concat([entry])));
+    } catch (error) {
+        // Storage full or unavailable - keep playing, but make the audit gap loud
+        console.error(`AUDIT LOG WRITE FAILED for round ${entry.id}: ${error.message}`);
+        renderHistoryDrawer(entries);
+        return null;
     }
+    entries.push(entry);
+    renderHistoryDrawer(entries);
+    return entries;
+}
+
+// Record how a round ended: 'landed', 'interrupted' (reset mid-drop) or 'voided' (no valid outcome)
+// (voided rounds only know their seed, bet and ball count, so every other field may be missing).
+// Per-ball fields (target, landed, startX, multiplier) are lists in launch order; path statistics are
+// summed over the balls, pathScore is the worst ball's and bet is per ball.
+function recordRound(round, status, landedBuckets = null, errorMessage = null) {
+    const field = key => (round[key] !== undefined ? round[key] : null);
+    const perBall = read => (round.balls ? round.balls.map(read) : null);
+    const sum = values => (values ? values.reduce((total, value) => total + value, 0) : null);
+    const scores = (perBall(ball => ball.pathQuality) || []).filter(quality => quality).map(quality => quality.score);
+    // Ids come from the time and seed rather than the log's length, which repeats once a write fails or the
+    // log is cleared - replay paths are stored under them. They sort in the order the rounds were logged.
+    const now = new Date();
+    const entry = {
+        id: `R${now.getTime().toString(36).toUpperCase()}-${formatSeed(round.seed)}`,
+        timestamp: now.toISOString(),
+        status: status,
+        provider: round.outcomes ? round.outcomes[0].meta.provider : GAME_CONFIG.outcomeProvider,
+        seed: formatSeed(round.seed),
+        ballCount: field('ballCount'),
+        target: field('targets'),
+        landed: landedBuckets,
+        startX: perBall(ball => Math.round(ball.startX * 100) / 100),
+        boardWidth: field('boardWidth') !== null ? round.boardWidth : canvas.width,
+        durationMs: field('durationMs') !== null ? Math.round(round.durationMs) : null,
+        pathAttempts: sum(perBall(ball => ball.pathAttempts)),
+        pathRetries: sum(perBall(ball => ball.pathRetries)),
+        usedFallback: round.balls ? round.balls.some(ball => ball.usedFallback) : null,
+        pathScore: scores.length ? Math.min(...scores) : null,
+        pathSource: field('pathSource'),
+        pathLibraryId: field('pathLibraryId'),
+        bet: field('bet'),
+        multiplier: round.settled ? perBall(ball => ball.multiplier) : null,
+        payout: round.settled ? round.payout : null,
+        creditsAfter: credits,
+        error: errorMessage
+    };
     
-    // If we couldn't find a valid path, create a direct one to target
-    if (!validPathFound) {
-        console.warn(`Could not find naturally valid path after ${attempts} attempts. Using direct approach.`);
-        
-        // Use target bucket position directly
-        const targetBucket = bucketLocations[selectedBucket - 1];
-        verifiedStartX = targetBucket.x + (Math.random() - 0.5) * 20; // Small random offset
-        
-        // Create simple arc to target
-        const pathDuration = 2500;
-        verifiedPath = [];
-        
-        // Create a natural-looking arc with 50 points
-        for (let i = 0; i <= 50; i++) {
-            const t = i / 50;
-            const timePoint = t * pathDuration;
-            
-            // Create a quadratic bezier curve
-            const startPoint = { x: verifiedStartX, y: canvas.height * 0.05 };
-            const endPoint = { 
-                x: targetBucket.x + (Math.random() - 0.5) * 10, // Small random target variation 
-                y: targetBucket.y
-            };
-            
-            // Control point for the curve - above the path for a natural arc
-            const controlPoint = {
-                x: (startPoint.x + endPoint.x) / 2, // Halfway between
-                y: Math.min(startPoint.y, endPoint.y) - canvas.height * 0.2 // Above the path
+    if (!appendRoundLog(entry)) return null;
+    if (round.balls) storeReplayPath(entry.id, round.balls);
+    console.log(`Round logged: ${entry.id} (${status})`);
+    return entry;
+}
+
+// CSV columns follow the entry field order
+const ROUND_LOG_COLUMNS = [
+    'id', 'timestamp', 'status', 'provider', 'seed', 'ballCount', 'target', 'landed', 'startX', 'boardWidth',
+    'durationMs', 'pathAttempts', 'pathRetries', 'usedFallback', 'pathScore', 'pathSource', 'pathLibraryId', 'bet', 'multiplier', 'payout', 'creditsAfter', 'error'
+];
+
+function roundLogToCsv(entries) {
+    const escapeCsv = value => {
+        if (value === null || value === undefined) return '';
+        const text = Array.isArray(value) ? value.join(' ') : String(value); // Per-ball lists are space separated
+        return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    };
+    const rows = entries.map(entry => ROUND_LOG_COLUMNS.map(column => escapeCsv(entry[column])).join(','));
+    return [ROUND_LOG_COLUMNS.join(','), ...rows].join('\n');
+}
+
+// Download the full round log for compliance review
+function exportRoundLog(format) {
+    const entries = loadRoundLog();
+    if (roundLogError !== null) {
+        console.error(`Round log not exported: it can't be read (${roundLogError})`);
+        return;
+    }
+    const isCsv = format === 'csv';
+    const content = isCsv ? roundLogToCsv(entries) : JSON.stringify({
+        exportedAt: new Date().toISOString(),
+        storageKey: GAME_CONFIG.historyStorageKey,
+        rounds: entries
+    }, null, 2);
+    
+    downloadFile(content, isCsv ? 'text/csv' : 'application/json',
+        `plinko-round-log-${new Date().toISOString().slice(0, 10)}.${isCsv ? 'csv' : 'json'}`);
+    
+    console.log(`Round log exported: ${entries.length} rounds as ${isCsv ? 'CSV' : 'JSON'}`);
+}
+
+// Save generated text through a temporary download link
+function downloadFile(content, mimeType, fileName) {
+    const blob = new Blob([content], { type: mimeType });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = fileName;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+// Rebuild the history drawer table from the log (newest first)
+function renderHistoryDrawer(entries = loadRoundLog()) {
+    const historyBody = getElement('history-rows');
+    const historyCount = getElement('history-count');
+    if (historyCount) {
+        historyCount.textContent = roundLogError === null ? `${entries.length} rounds logged` :
+            `Round log can't be read (${roundLogError}) - left untouched, ${unloggedRounds} later round(s) not logged`;
+        historyCount.classList.toggle('history-error', roundLogError !== null);
+    }
+    if (!historyBody) return;
+    
+    historyBody.innerHTML = '';
+    entries.slice(-GAME_CONFIG.historyDrawerLimit).reverse().forEach(entry => {
+        const targets = toBallList(entry.target);
+        const landed = toBallList(entry.landed);
+        const row = document.createElement('tr');
+        row.className = `history-${entry.status}`;
+        if (entry.status === 'landed' && landed.some((bucket, index) => bucket !== targets[index])) row.classList.add('history-mismatch');
+        
+        [
+            entry.id,
+            new Date(entry.timestamp).toLocaleTimeString(),
+            targets ? targets.join(' ') : '-',
+            landed ? landed.join(' ') : '-',
+            entry.bet !== null ? formatCredits(entry.bet * (entry.ballCount || 1)) : '-',
+            entry.payout !== null ? formatCredits(entry.payout) : '-',
+            entry.status
+        ].forEach(value => {
+            const cell = document.createElement('td');
+            cell.textContent = value;
+            row.appendChild(cell);
+        });
+        
+        // Any round that produced a path can be replayed
+        const replayCell = document.createElement('td');
+        if (entry.target !== null && entry.status !== 'voided') {
+            const replayButton = document.createElement('button');
+            replayButton.className = 'history-replay';
+            replayButton.dataset.replay = entry.id;
+            replayButton.textContent = 'Replay';
+            replayCell.appendChild(replayButton);
+        }
+        row.appendChild(replayCell);
+        
+        row.title = `Seed ${entry.seed || '-'}, ${entry.ballCount || 1} ball(s), start X ${(toBallList(entry.startX) || ['-']).join(' ')}, ${entry.durationMs}ms, ` +
+            (entry.pathSource === 'library' ? `library ${entry.pathLibraryId}` :
+                `${entry.pathAttempts} attempts / ${entry.pathRetries} retries${entry.usedFallback ? ', fallback path' : ''}`) +
+            (entry.error ? `, ${entry.error}` : '');
+        historyBody.appendChild(row);
+    });
+}
+
+// Per-ball log fields as a list - rounds logged before multi-ball drops hold a single number (or null)
+function toBallList(value) {
+    return value === null || value === undefined ? null : [].concat(value);
+}
+
+// Replay buttons are delegated from the history table
+function handleHistoryClick(event) {
+    const replayButton = event.target.closest('[data-replay]');
+    if (!replayButton) return;
+    
+    toggleHistoryDrawer();
+    startReplay(replayButton.dataset.replay);
+}
+
+// Keep the full animation paths of recent rounds so they can be replayed exactly
+function loadReplayPaths() {
+    try {
+        const stored = window.localStorage.getItem(GAME_CONFIG.replayPathStorageKey);
+        return stored ? JSON.parse(stored) : {};
+    } catch (error) {
+        console.error(`Replay paths could not be read: ${error.message}`);
+        return {};
+    }
+}
+
+// One { delay, path, contacts } per ball in launch order
+function storeReplayPath(roundId, roundBalls) {
+    const paths = loadReplayPaths();
+    // Positions only - keyframe velocities would nearly double the storage and are re-derived on replay.
+    // The recorded contacts are kept as in a path library, with speeds in px/s like the path.
+    paths[roundId] = roundBalls.map(roundBall => ({
+        delay: roundBall.delay,
+        path: roundBall.path.map(point => ({ x: point.x, y: point.y, time: point.time })),
+        contacts: PlinkoSimulation.encodePathContacts(roundBall.contacts, liveBoard, liveBoard.width)
+    }));
+    
+    // Oldest rounds drop out first (round ids sort by time) - they can still be replayed from their seed
+    const roundIds = Object.keys(paths).sort();
+    roundIds.slice(0, Math.max(0, roundIds.length - GAME_CONFIG.replayPathLimit)).forEach(id => delete paths[id]);
+    
+    try {
+        window.localStorage.setItem(GAME_CONFIG.replayPathStorageKey, JSON.stringify(paths));
+    } catch (error) {
+        console.warn(`Replay path for round ${roundId} not stored: ${error.message}`);
+    }
+}
+
+// Rebuild a round's paths from its seed without disturbing the live random streams
+function regenerateRoundPaths(seed, targets, source = 'simulation') {
+    const savedStreams = rngStreams;
+    
+    rngStreams = createRoundStreams(seed);
+    const planned = planRoundBalls(targets, liveBoard, source);
+    
+    rngStreams = savedStreams;
+    return planned;
+}
+
+// Find the balls to replay for a log entry - { target, delay, path, contacts } each, from the stored
+// paths (rescaled to the current board) or a seed re-run. contacts is null for paths stored without them.
+function getReplayBalls(entry) {
+    const targets = toBallList(entry.target);
+    const stored = loadReplayPaths()[entry.id];
+    if (stored) {
+        const scale = canvas.width / entry.boardWidth;
+        // Rounds logged before multi-ball drops stored one bare path
+        const storedBalls = stored.length && stored[0].path ? stored : [{ delay: 0, path: stored }];
+        return storedBalls.map((storedBall, index) => {
+            const path = PlinkoSimulation.addPathVelocities(storedBall.path.map(point => ({ x: point.x * scale, y: point.y * scale, time: point.time })));
+            return {
+                target: targets[index],
+                delay: storedBall.delay,
+                path: path,
+                contacts: storedBall.contacts ? PlinkoSimulation.decodePathContacts(storedBall.contacts, entry.boardWidth, liveBoard, path) : null
             };
-            
-            // Calculate point on quadratic bezier curve
-            const xt = Math.pow(1-t, 2) * startPoint.x + 
-                      2 * (1-t) * t * controlPoint.x + 
-                      Math.pow(t, 2) * endPoint.x;
-                      
-            const yt = Math.pow(1-t, 2) * startPoint.y + 
-                      2 * (1-t) * t * controlPoint.y + 
-                      Math.pow(t, 2) * endPoint.y;
-                      
-            // Add point to path
-            verifiedPath.push({
-                x: xt,
-                y: yt,
-                time: timePoint
-            });
+        });
+    }
+    
+    // Seed re-runs are only identical on a board of the original size (and from the same library)
+    const seed = parseSeed(entry.seed);
+    if (seed === null || entry.boardWidth !== canvas.width) return null;
+    if (entry.pathSource === 'library' && !(pathLibrary && pathLibrary.id === entry.pathLibraryId)) return null;
+    const source = entry.pathSource === 'library' || entry.pathSource === 'physics' ? entry.pathSource : 'simulation';
+    return regenerateRoundPaths(seed, targets, source);
+}
+
+// Re-animate a past round - badged as a replay and isolated from statistics and credits
+function startReplay(roundId) {
+    if ((isGameActive && !replayState) || gameState === 'awaiting' || gameState === 'dropping') return;
+    
+    const entry = loadRoundLog().find(logEntry => logEntry.id === roundId);
+    const replayBalls = entry ? getReplayBalls(entry) : null;
+    if (!replayBalls || replayBalls.some(replayBall => replayBall.path.length < 2)) {
+        console.warn(`Replay unavailable for round ${roundId}`);
+        showRoundError('REPLAY UNAVAILABLE');
+        return;
+    }
+    
+    if (replayState) stopReplay();
+    
+    // Borrow the live animation state - it is cleared again when the replay ends
+    // (paths stored before contacts were recorded have them inferred from the path)
+    balls = replayBalls.map((replayBall, index) => createBallFlight(index, replayBall.target, replayBall.path,
+        replayBall.contacts || PlinkoSimulation.detectPathContacts(replayBall.path, liveBoard), replayBall.delay));
+    isGameActive = true;
+    gameState = 'replay';
+    roundTargets = balls.map(flight => flight.target);
+    animationDuration = Math.max(...balls.map(flight => flight.delay + flight.duration));
+    
+    replayState = {
+        entry: entry,
+        duration: animationDuration,
+        elapsed: 0,
+        speed: 1,
+        playing: true,
+        lastFrameTime: null
+    };
+    
+    const landed = toBallList(entry.landed);
+    const replaySpeed = getElement('replay-speed');
+    if (replaySpeed) replaySpeed.value = '1';
+    const replayRound = getElement('replay-round');
+    if (replayRound) replayRound.textContent = `${entry.id} - target ${roundTargets.join(' ')}, landed ${landed ? landed.join(' ') : '-'}`;
+    const replayBar = getElement('replay-bar');
+    if (replayBar) replayBar.hidden = false;
+    
+    console.log(`Replay started: ${entry.id} (${balls.length} ball(s), ${replayState.duration.toFixed(0)}ms)`);
+    updateControls();
+    updateReplayControls();
+    updateDebugInfo();
+}
+
+// Leave replay mode and return the board to idle
+function stopReplay() {
+    if (!replayState) return;
+    
+    console.log(`Replay ended: ${replayState.entry.id}`);
+    replayState = null;
+    isGameActive = false;
+    gameState = 'ready';
+    balls = [];
+    roundTargets = [];
+    animationDuration = 0;
+    
+    const replayBar = getElement('replay-bar');
+    if (replayBar) replayBar.hidden = true;
+    
+    updateControls();
+    updateDebugInfo();
+    drawGame();
+}
+
+// Advance the replay clock by the real frame time scaled by the playback speed
+function updateReplay(timestamp) {
+    const frameDelta = replayState.lastFrameTime === null ? 0 : timestamp - replayState.lastFrameTime;
+    replayState.lastFrameTime = timestamp;
+    
+    if (replayState.playing) {
+        replayState.elapsed = Math.min(replayState.duration, replayState.elapsed + frameDelta * replayState.speed);
+    }
+    
+    updateBallAnimation(replayState.elapsed);
+    updateReplayControls();
+}
+
+function updateReplayControls() {
+    if (!replayState) return;
+    
+    const playButton = getElement('replay-play');
+    const scrub = getElement('replay-scrub');
+    const time = getElement('replay-time');
+    
+    if (playButton) playButton.textContent = replayState.playing ? 'Pause' : 'Play';
+    if (scrub && document.activeElement !== scrub) {
+        scrub.value = Math.round(replayState.elapsed / replayState.duration * 1000);
+    }
+    if (time) {
+        time.textContent = `${(replayState.elapsed / 1000).toFixed(2)}s / ${(replayState.duration / 1000).toFixed(2)}s`;
+    }
+}
+
+function handleReplayPlayPause() {
+    if (!replayState) return;
+    
+    // Playing from the end starts over
+    if (!replayState.playing && replayState.elapsed >= replayState.duration) {
+        replayState.elapsed = 0;
+        balls.forEach(flight => flight.trail = []);
+    }
+    replayState.playing = !replayState.playing;
+    updateReplayControls();
+}
+
+function handleReplayScrub(event) {
+    if (!replayState) return;
+    
+    replayState.playing = false;
+    replayState.elapsed = parseInt(event.target.value, 10) / 1000 * replayState.duration;
+    balls.forEach(flight => flight.trail = []); // A jump would otherwise smear the trail across the board
+    updateReplayControls();
+}
+
+function handleReplaySpeedChange(event) {
+    if (!replayState) return;
+    
+    const speed = parseFloat(event.target.value);
+    if (GAME_CONFIG.replaySpeeds.includes(speed)) replayState.speed = speed;
+}
+
+// Fill the replay speed selector from GAME_CONFIG.replaySpeeds
+function initReplayControls() {
+    const replaySpeed = getElement('replay-speed');
+    if (replaySpeed) {
+        replaySpeed.innerHTML = '';
+        GAME_CONFIG.replaySpeeds.forEach(speed => {
+            const option = document.createElement('option');
+            option.value = speed;
+            option.textContent = `${speed}x`;
+            option.selected = speed === 1;
+            replaySpeed.appendChild(option);
+        });
+        replaySpeed.addEventListener('change', handleReplaySpeedChange);
+    }
+    
+    getElement('replay-play').addEventListener('click', handleReplayPlayPause);
+    getElement('replay-scrub').addEventListener('input', handleReplayScrub);
+    getElement('replay-exit').addEventListener('click', stopReplay);
+    getElement('history-rows').addEventListener('click', handleHistoryClick);
+}
+
+function toggleHistoryDrawer() {
+    const drawer = getElement('history-drawer');
+    if (!drawer) return;
+    
+    const isOpen = drawer.classList.toggle('open');
+    if (isOpen) renderHistoryDrawer();
+}
+
+// Return a bet taken for a round that never started
+function refundBet(amount) {
+    credits = roundCredits(credits + amount);
+    console.log(`Bet refunded: ${formatCredits(amount)}`);
+    updateWalletUI();
+}
+
+// Refresh the credit meter and last win display
+function updateWalletUI(isWin = false) {
+    const creditBalance = getElement('credit-balance');
+    const lastWinDisplay = getElement('last-win');
+    
+    if (creditBalance) {
+        creditBalance.textContent = formatCredits(credits);
+        creditBalance.classList.toggle('insufficient', credits < getRoundStake());
+    }
+    if (lastWinDisplay) {
+        lastWinDisplay.textContent = formatCredits(lastWin);
+        
+        // Restart the flash animation on a winning round
+        lastWinDisplay.classList.remove('win');
+        if (isWin) {
+            void lastWinDisplay.offsetWidth;
+            lastWinDisplay.classList.add('win');
+        }
+    }
+}
+
+// Fill the bet selector from GAME_CONFIG.betOptions
+function initBetSelect() {
+    const betSelect = getElement('bet-select');
+    if (!betSelect) return;
+    
+    betSelect.innerHTML = '';
+    GAME_CONFIG.betOptions.forEach(bet => {
+        const option = document.createElement('option');
+        option.value = bet;
+        option.textContent = formatCredits(bet);
+        option.selected = bet === currentBet;
+        betSelect.appendChild(option);
+    });
+    betSelect.addEventListener('change', handleBetChange);
+}
+
+function handleBetChange(event) {
+    if (isGameActive || gameState === 'awaiting') return;
+    
+    const bet = parseFloat(event.target.value);
+    if (!GAME_CONFIG.betOptions.includes(bet)) return;
+    
+    currentBet = bet;
+    console.log(`[handleBetChange] Bet: ${formatCredits(currentBet)}`);
+    
+    updateControls();
+    updateWalletUI();
+    updateDebugInfo();
+}
+
+// Fill the balls-per-round selector from GAME_CONFIG.ballCountOptions
+function initBallCountSelect() {
+    const ballCountSelect = getElement('ball-count-select');
+    if (!ballCountSelect) return;
+    
+    ballCountSelect.innerHTML = '';
+    GAME_CONFIG.ballCountOptions.forEach(count => {
+        const option = document.createElement('option');
+        option.value = count;
+        option.textContent = count;
+        option.selected = count === currentBallCount;
+        ballCountSelect.appendChild(option);
+    });
+    ballCountSelect.addEventListener('change', handleBallCountChange);
+}
+
+function handleBallCountChange(event) {
+    if (isGameActive || gameState === 'awaiting') return;
+    
+    const count = parseInt(event.target.value, 10);
+    if (!GAME_CONFIG.ballCountOptions.includes(count)) return;
+    
+    currentBallCount = count;
+    console.log(`[handleBallCountChange] Balls per round: ${currentBallCount}`);
+    
+    updateControls();
+    updateWalletUI();
+    updateDebugInfo();
+}
+
+// Fill the speed selector from GAME_CONFIG.speedModes, restoring the speed chosen earlier this session
+function initSpeedSelect() {
+    try {
+        const stored = window.sessionStorage.getItem(GAME_CONFIG.speedModeStorageKey);
+        if (GAME_CONFIG.speedModes[stored]) speedMode = stored;
+    } catch (error) {
+        console.warn(`Speed mode unavailable: ${error.message}`);
+    }
+    
+    const speedSelect = getElement('speed-select');
+    if (speedSelect) {
+        speedSelect.innerHTML = '';
+        Object.keys(GAME_CONFIG.speedModes).forEach(key => {
+            const mode = GAME_CONFIG.speedModes[key];
+            const option = document.createElement('option');
+            option.value = key;
+            option.textContent = `${mode.label} (${mode.shortcut.toUpperCase()})`;
+            option.selected = key === speedMode;
+            speedSelect.appendChild(option);
+        });
+        speedSelect.addEventListener('change', event => setSpeedMode(event.target.value));
+    }
+    
+    document.addEventListener('keydown', handleSpeedShortcut);
+}
+
+// Speed changes apply immediately - a drop in flight speeds up, slows down or skips to its landing
+function setSpeedMode(key) {
+    if (!GAME_CONFIG.speedModes[key] || key === speedMode) return;
+    
+    speedMode = key;
+    console.log(`[setSpeedMode] Speed: ${GAME_CONFIG.speedModes[key].label}`);
+    try {
+        window.sessionStorage.setItem(GAME_CONFIG.speedModeStorageKey, key);
+    } catch (error) {
+        console.warn(`Speed mode not saved: ${error.message}`);
+    }
+    
+    const speedSelect = getElement('speed-select');
+    if (speedSelect) speedSelect.value = key;
+}
+
+// Debug mode is on for ?debug=1 (or any value but 0 or false)
+function hasDebugQueryParam() {
+    const value = new URLSearchParams(window.location.search).get('debug');
+    return value !== null && value !== '0' && value !== 'false';
+}
+
+function isDebugShortcut(event) {
+    return !event.ctrlKey && !event.metaKey && !event.altKey && !!event.key &&
+        event.key.toLowerCase() === GAME_CONFIG.debugShortcut;
+}
+
+function handleDebugShortcut(event) {
+    // Same rules as the speed shortcuts - the game clicked last, and never while typing
+    if (activeGameRoot !== root || !isDebugShortcut(event)) return;
+    if (event.target && event.target.closest && event.target.closest('input, select, textarea')) return;
+    event.preventDefault();
+    setDebugMode(!debugMode);
+}
+
+// Candidates are only collected for rounds dropped in debug mode - switching it on shows them from the next drop
+function setDebugMode(enabled) {
+    debugMode = enabled;
+    console.log(`Debug mode ${debugMode ? 'on' : 'off'}`);
+    updateTelemetryUI();
+    updateHeatmapUI();
+}
+
+// Path generation telemetry of the latest round, one block per ball - shown in debug mode only
+function updateTelemetryUI() {
+    const toggleButton = getElement('debug-mode-toggle');
+    const section = getElement('debug-telemetry-section');
+    const telemetry = getElement('debug-telemetry');
+    if (toggleButton) {
+        toggleButton.textContent = debugMode ? 'Turn Off' : 'Turn On';
+        toggleButton.classList.toggle('active', debugMode);
+    }
+    
+    // Seeds, path hashes, path sources and quality, the library, zones and heatmap are for debug mode only
+    root.querySelectorAll('[data-debug-only]').forEach(element => { element.hidden = !debugMode; });
+    if (!section || !telemetry || !debugMode) return;
+    
+    telemetry.innerHTML = '';
+    if (!currentRound || !currentRound.balls) {
+        telemetry.textContent = 'No round yet';
+        return;
+    }
+    
+    const addLine = (parent, text, className = null, tag = 'div') => {
+        const line = document.createElement(tag);
+        line.textContent = text;
+        if (className) line.className = className;
+        parent.appendChild(line);
+        return line;
+    };
+    // A drawn target stays hidden until its round has landed
+    const concealed = isTargetConcealed();
+    currentRound.balls.forEach((roundBall, index) => {
+        const block = addLine(telemetry, '', 'debug-telemetry-ball');
+        addLine(block, `Ball ${index + 1} -> bucket ${concealed ? 'hidden' : roundBall.target} (${roundBall.pathSource})`, 'debug-telemetry-title');
+        addLine(block, `${roundBall.pathAttempts} attempts, ${roundBall.pathRetries} path retries, ` +
+            `${roundBall.separationRetries} separation re-picks`);
+        addLine(block, `${roundBall.generationMs.toFixed(1)} ms, launch held ${roundBall.launchHoldMs} ms, ` +
+            `fallback ${roundBall.usedFallback ? 'USED' : 'no'}`, roundBall.usedFallback ? 'debug-telemetry-warning' : null);
+        
+        const candidateLog = roundBall.candidateLog;
+        if (!candidateLog) {
+            addLine(block, 'Candidates not recorded (dropped outside debug mode)');
+            return;
+        }
+        if (candidateLog.rejected === 0) {
+            addLine(block, 'No candidates rejected');
+            return;
+        }
+        
+        const reasons = Object.keys(candidateLog.reasons)
+            .sort((a, b) => candidateLog.reasons[b] - candidateLog.reasons[a])
+            .map(reason => `${candidateLog.reasons[reason]}x ${reason}`);
+        addLine(block, `Rejected ${candidateLog.rejected}: ${reasons.join('; ')}`);
+        const list = addLine(block, '', 'debug-telemetry-candidates', 'ol');
+        candidateLog.candidates.forEach((candidate, i) => addLine(list, `${index + 1}.${i + 1} ${candidate.reason}`, null, 'li'));
+        if (candidateLog.rejected > candidateLog.candidates.length) {
+            addLine(block, `${candidateLog.rejected - candidateLog.candidates.length} more not drawn (debugCandidateLimit)`);
         }
+    });
+}
+
+function getSpeedShortcut(event) {
+    if (event.ctrlKey || event.metaKey || event.altKey || !event.key) return null;
+    const key = event.key.toLowerCase();
+    return Object.keys(GAME_CONFIG.speedModes).find(mode => GAME_CONFIG.speedModes[mode].shortcut === key) || null;
+}
+
+function handleSpeedShortcut(event) {
+    // Only the game clicked last follows the shortcuts, and typing into a field never changes the speed
+    if (activeGameRoot !== root) return;
+    if (event.target && event.target.closest && event.target.closest('input, select, textarea')) return;
+    
+    const key = getSpeedShortcut(event);
+    if (!key) return;
+    event.preventDefault();
+    setSpeedMode(key);
+}
+
+// Volume and mute are the player's, kept across sessions
+function loadSoundSettings() {
+    try {
+        const stored = JSON.parse(window.localStorage.getItem(GAME_CONFIG.soundSettingsStorageKey));
+        if (stored && typeof stored.volume === 'number') return { volume: stored.volume, muted: !!stored.muted };
+    } catch (error) {
+        console.warn(`Sound settings could not be read: ${error.message}`);
+    }
+    return { volume: GAME_CONFIG.soundVolume, muted: false };
+}
+
+function saveSoundSettings() {
+    try {
+        window.localStorage.setItem(GAME_CONFIG.soundSettingsStorageKey,
+            JSON.stringify({ volume: soundEngine.getVolume(), muted: soundEngine.isMuted() }));
+    } catch (error) {
+        console.warn(`Sound settings not saved: ${error.message}`);
+    }
+}
+
+// Create the sound engine and wire the mute button and volume slider
+function initSoundControls() {
+    soundEngine = PlinkoAudio.createSoundEngine(loadSoundSettings());
+    
+    const muteButton = getElement('sound-mute');
+    const volumeSlider = getElement('sound-volume');
+    if (muteButton) {
+        muteButton.addEventListener('click', () => {
+            soundEngine.setMuted(!soundEngine.isMuted());
+            saveSoundSettings();
+            updateSoundUI();
+            soundEngine.playClick();
+        });
+    }
+    if (volumeSlider) {
+        volumeSlider.addEventListener('input', event => {
+            soundEngine.setVolume(parseInt(event.target.value, 10) / 100);
+            saveSoundSettings();
+        });
+        volumeSlider.addEventListener('change', () => soundEngine.playClick());
+    }
+    updateSoundUI();
+}
+
+function updateSoundUI() {
+    const muteButton = getElement('sound-mute');
+    const volumeSlider = getElement('sound-volume');
+    if (muteButton) {
+        muteButton.textContent = soundEngine.isMuted() ? 'Unmute' : 'Mute';
+        muteButton.classList.toggle('active', soundEngine.isMuted());
+    }
+    if (volumeSlider) volumeSlider.value = Math.round(soundEngine.getVolume() * 100);
+}
+
+// Search for a natural path that provably ends in the target bucket (see simulation.js)
+function findVerifiedPath(roundTarget, board = liveBoard, onReject = null) {
+    return PlinkoSimulation.findVerifiedPath(roundTarget, board, outcomeRandom, onReject);
+}
+
+// Path for a round - a stored library path when one is loaded, otherwise a fresh simulation with the
+// configured engine (pass the source to rebuild a logged round the way it was originally made).
+// onReject(path, reason) hears about every candidate path turned down on the way.
+function computeRoundPath(roundTarget, board = liveBoard, source = getActivePathSource(), onReject = null) {
+    if (source === 'library') {
+        const libraryPath = pickLibraryPath(roundTarget, board);
+        if (libraryPath) return libraryPath;
+        console.warn(`Path library could not serve bucket ${roundTarget} - simulating instead`);
+        source = getSimulationPathSource();
+    }
+    
+    const verified = source === 'physics' ?
+        PlinkoSimulation.findPhysicsPath(roundTarget, board, outcomeRandom, onReject) :
+        findVerifiedPath(roundTarget, board, onReject);
+    verified.pathSource = source;
+    verified.pathLibraryId = null;
+    return verified;
+}
+
+// Paths for every ball of a round, in launch order. Balls launch GAME_CONFIG.ballLaunchIntervalMs apart;
+// a path that brings its ball closer than GAME_CONFIG.ballMinSeparation to an earlier ball (falling or
+// resting in a bucket) is re-picked, and once GAME_CONFIG.ballPathAttempts paths have failed the ball
+// is held back until the way is clear instead. The first ball's path is exactly a one-ball round's.
+// With collectCandidates each planned ball carries a candidateLog of the paths turned down (debug mode).
+function planRoundBalls(targets, board = liveBoard, source = getActivePathSource(), collectCandidates = false) {
+    const minDistance = GAME_CONFIG.ballRadius * 2 * GAME_CONFIG.ballMinSeparation;
+    const planned = [];
+    const isClear = (path, delay) => planned.every(other => PlinkoSimulation.measurePathSeparation(
+        other.path, other.delay, path, delay, GAME_CONFIG.landedBallLingerMs) >= minDistance);
+    
+    targets.forEach((target, index) => {
+        const startTime = performance.now();
+        const candidateLog = collectCandidates ? createCandidateLog() : null;
+        const onReject = candidateLog ? (path, reason) => logCandidate(candidateLog, path, reason) : null;
+        let delay = index * GAME_CONFIG.ballLaunchIntervalMs;
+        let separationRetries = 0;
+        let verified = computeRoundPath(target, board, source, onReject);
+        for (let attempt = 1; attempt < GAME_CONFIG.ballPathAttempts && !isClear(verified.path, delay); attempt++) {
+            if (onReject) onReject(verified.path, 'too close to an earlier ball');
+            verified = computeRoundPath(target, board, source, onReject);
+            separationRetries++;
+        }
+        
+        // Always ends - a ball launched after every earlier one has left the board is clear
+        while (!isClear(verified.path, delay)) {
+            delay += GAME_CONFIG.ballLaunchIntervalMs;
+        }
+        planned.push(Object.assign(verified, {
+            target: target,
+            delay: delay,
+            generationMs: performance.now() - startTime,
+            separationRetries: separationRetries,
+            launchHoldMs: delay - index * GAME_CONFIG.ballLaunchIntervalMs,
+            candidateLog: candidateLog
+        }));
+    });
+    return planned;
+}
+
+// Rejected candidate paths of one ball - every rejection is counted by reason, the first
+// GAME_CONFIG.debugCandidateLimit are kept with their path for the debug overlay
+function createCandidateLog() {
+    return { rejected: 0, reasons: {}, candidates: [] };
+}
+
+function logCandidate(candidateLog, path, reason) {
+    candidateLog.rejected++;
+    candidateLog.reasons[reason] = (candidateLog.reasons[reason] || 0) + 1;
+    if (candidateLog.candidates.length < GAME_CONFIG.debugCandidateLimit) {
+        candidateLog.candidates.push({ path: path, reason: reason });
+    }
+}
+
+function getActivePathSource() {
+    return GAME_CONFIG.pathMode === 'library' && pathLibrary ? 'library' : getSimulationPathSource();
+}
+
+// 'physics' for the rigid-body engine, 'simulation' for guided paths
+function getSimulationPathSource() {
+    return GAME_CONFIG.pathEngine === 'physics' ? 'physics' : 'simulation';
+}
+
+// Pick a stored path for the bucket. The board is symmetric, so paths into the mirrored bucket
+// count too; a small time-scale jitter keeps repeats from looking identical.
+function pickLibraryPath(roundTarget, board = liveBoard) {
+    if (!pathLibrary) return null;
+    
+    const mirroredTarget = board.buckets.length + 1 - roundTarget;
+    const directPaths = pathLibrary.buckets[roundTarget] || [];
+    const mirroredPaths = mirroredTarget !== roundTarget ? (pathLibrary.buckets[mirroredTarget] || []) : [];
+    const total = directPaths.length + mirroredPaths.length;
+    if (total === 0) return null;
+    
+    const index = Math.floor(outcomeRandom() * total);
+    const mirrored = index >= directPaths.length;
+    const bucketNumber = mirrored ? mirroredTarget : roundTarget;
+    const pathIndex = mirrored ? index - directPaths.length : index;
+    const timeScale = 1 + (outcomeRandom() * 2 - 1) * GAME_CONFIG.pathLibraryTimeJitter;
+    
+    const path = PlinkoSimulation.decodeLibraryPath(pathLibrary.buckets[bucketNumber][pathIndex], pathLibrary.scale, board, mirrored, timeScale);
+    
+    // Never trust a stored path blindly - it must still land in the target on this board
+    if (path.length < 2 || PlinkoSimulation.findLandingBucket(path[path.length - 1].x, board) !== roundTarget) {
+        console.error(`Library path ${mirrored ? 'M' : ''}${pathIndex} misses bucket ${roundTarget}`);
+        return null;
+    }
+    
+    // Libraries built before contacts were recorded have them inferred from the path
+    const encodedContacts = pathLibrary.contacts ? pathLibrary.contacts[bucketNumber][pathIndex] : null;
+    const contacts = encodedContacts
+        ? PlinkoSimulation.decodePathContacts(encodedContacts, pathLibrary.scale, board, path, mirrored, timeScale)
+        : null;
+    const quality = PlinkoSimulation.assessPathQuality(path, board, roundTarget, contacts || PlinkoSimulation.detectPathContacts(path, board));
+    return {
+        startX: path[0].x,
+        path: path,
+        attempts: 0,
+        pathRetries: 0,
+        usedFallback: false,
+        quality: quality,
+        contacts: quality.contacts,
+        pathSource: 'library',
+        pathLibraryId: pathLibrary.id,
+        libraryIndex: mirrored ? `M${pathIndex}` : String(pathIndex)
+    };
+}
+
+// Build a path library in the browser without freezing the page - see createPathLibraryBuilder in
+// simulation.js for the file format (tools/build-path-library.js builds the same file offline)
+function buildPathLibrary(seed, onProgress = null) {
+    const builder = PlinkoSimulation.createPathLibraryBuilder(seed, GAME_CONFIG);
+    
+    return new Promise((resolve, reject) => {
+        const runChunk = () => {
+            if (destroyed) {
+                reject(new Error('game destroyed'));
+                return;
+            }
+            let done;
+            try {
+                done = builder.step(20);
+            } catch (error) {
+                reject(error);
+                return;
+            }
+            
+            if (onProgress) onProgress(builder.built(), builder.total);
+            if (done) {
+                resolve(builder.library);
+            } else {
+                setTimeout(runChunk, 0); // Hand the main thread back between chunks
+            }
+        };
+        
+        runChunk();
+    });
+}
+
+function setPathLibrary(library) {
+    pathLibrary = PlinkoSimulation.checkPathLibrary(library, GAME_CONFIG);
+    pathLibraryStatus = `${pathLibrary.id} (${pathLibrary.generator.pathsPerBucket}/bucket)`;
+    console.log(`Path library ${pathLibrary.id} loaded`);
+    updatePathLibraryUI();
+}
+
+// Load the library shipped next to the game - rounds keep simulating if it is missing or invalid
+function loadPathLibraryFromUrl(url) {
+    pathLibraryStatus = 'Loading...';
+    updatePathLibraryUI();
+    
+    return fetch(url)
+        .then(response => {
+            if (!response.ok) throw new Error(`HTTP ${response.status}`);
+            return response.json();
+        })
+        .then(setPathLibrary)
+        .catch(error => {
+            console.warn(`Path library not loaded from ${url}: ${error.message} - simulating paths`);
+            pathLibraryStatus = 'Not loaded';
+            updatePathLibraryUI();
+        });
+}
+
+function handlePathLibraryFile(event) {
+    const file = event.target.files[0];
+    event.target.value = '';
+    if (!file) return;
+    
+    file.text()
+        .then(text => setPathLibrary(JSON.parse(text)))
+        .catch(error => {
+            console.error(`Path library ${file.name} rejected: ${error.message}`);
+            pathLibraryStatus = `Rejected: ${error.message}` + (pathLibrary ? ` (still using ${pathLibrary.id})` : '');
+            updatePathLibraryUI();
+        });
+}
+
+// Build a library in the browser, use it straight away and download it for shipping
+function handleBuildPathLibrary() {
+    if (pathLibraryBuilding) return;
+    pathLibraryBuilding = true;
+    updatePathLibraryUI();
+    
+    const startTime = performance.now();
+    buildPathLibrary(generateRoundSeed(), (built, total) => {
+        pathLibraryStatus = `Building ${built}/${total}...`;
+        updatePathLibraryUI();
+    })
+        .then(library => {
+            console.log(`Path library built in ${((performance.now() - startTime) / 1000).toFixed(1)}s`);
+            pathLibraryBuilding = false;
+            setPathLibrary(library);
+            downloadFile(JSON.stringify(library), 'application/json', `path-library-${library.id}.json`);
+        })
+        .catch(error => {
+            console.error(`Path library build failed: ${error.message}`);
+            pathLibraryBuilding = false;
+            pathLibraryStatus = `Build failed: ${error.message}`;
+            updatePathLibraryUI();
+        });
+}
+
+function handlePathEngineChange(event) {
+    if (!['guided', 'physics'].includes(event.target.value)) return;
+    GAME_CONFIG.pathEngine = event.target.value;
+    console.log(`[handlePathEngineChange] Path engine: ${GAME_CONFIG.pathEngine}`);
+    updatePathLibraryUI();
+}
+
+function handlePathModeChange(event) {
+    if (!['library', 'simulate'].includes(event.target.value)) return;
+    GAME_CONFIG.pathMode = event.target.value;
+    console.log(`[handlePathModeChange] Path mode: ${GAME_CONFIG.pathMode}`);
+    updatePathLibraryUI();
+}
+
+function updatePathLibraryUI() {
+    const pathModeSelect = getElement('debug-path-mode');
+    const pathEngineSelect = getElement('debug-path-engine');
+    const libraryStatus = getElement('debug-path-library');
+    const buildButton = getElement('debug-path-library-build');
+    
+    if (pathModeSelect) pathModeSelect.value = GAME_CONFIG.pathMode;
+    if (pathEngineSelect) pathEngineSelect.value = GAME_CONFIG.pathEngine;
+    if (libraryStatus) {
+        libraryStatus.textContent = pathLibraryStatus;
+        libraryStatus.style.color = pathLibrary ? '#4ade80' : '#adb5bd';
+    }
+    if (buildButton) buildButton.disabled = pathLibraryBuilding;
+}
+
+// Show or hide the path zone overlay (bands and peg influence arrows)
+function toggleZoneOverlay() {
+    GAME_CONFIG.showPathZones = !GAME_CONFIG.showPathZones;
+    getElement('debug-zones-toggle').textContent = GAME_CONFIG.showPathZones ? 'Hide Zones' : 'Show Zones';
+}
+
+function initPathLibraryControls() {
+    const pathModeSelect = getElement('debug-path-mode');
+    const pathEngineSelect = getElement('debug-path-engine');
+    const loadButton = getElement('debug-path-library-load');
+    const fileInput = getElement('debug-path-library-file');
+    const buildButton = getElement('debug-path-library-build');
+    
+    if (pathModeSelect) pathModeSelect.addEventListener('change', handlePathModeChange);
+    if (pathEngineSelect) pathEngineSelect.addEventListener('change', handlePathEngineChange);
+    if (loadButton && fileInput) {
+        loadButton.addEventListener('click', () => fileInput.click());
+        fileInput.addEventListener('change', handlePathLibraryFile);
+    }
+    if (buildButton) buildButton.addEventListener('click', handleBuildPathLibrary);
+    updatePathLibraryUI();
+}
+
+function createOutcomeStats() {
+    const perBucket = () => new Array(GAME_CONFIG.bucketCount).fill(0);
+    return {
+        total: 0,
+        landed: perBucket(),         // Balls that landed in each bucket
+        mismatches: perBucket(),     // Balls aimed at each bucket that landed in another
+        longestStreaks: perBucket(), // Longest run of consecutive balls landing in each bucket
+        streakBucket: null,          // Bucket of the current run and its length
+        streakLength: 0,
+        picked: 0                    // Balls whose bucket was not drawn from outcomeWeights (player picks, host, remote)
+    };
+}
+
+// Count one landed ball - balls are counted in landing order, so a streak can run across rounds
+function recordOutcomeStats(flight, bucketNumber) {
+    const stats = outcomeStats;
+    const outcome = currentRound ? currentRound.outcomes[flight.index] : null;
+    
+    stats.total++;
+    stats.landed[bucketNumber - 1]++;
+    if (bucketNumber !== flight.target) stats.mismatches[flight.target - 1]++;
+    if (!outcome || typeof outcome.meta.roll !== 'number') stats.picked++;
+    
+    stats.streakLength = bucketNumber === stats.streakBucket ? stats.streakLength + 1 : 1;
+    stats.streakBucket = bucketNumber;
+    const index = bucketNumber - 1;
+    stats.longestStreaks[index] = Math.max(stats.longestStreaks[index], stats.streakLength);
+    updateStatsUI();
+}
+
+function clearOutcomeStats() {
+    outcomeStats = createOutcomeStats();
+    console.log('Outcome statistics cleared');
+    updateStatsUI();
+}
+
+// Per-bucket observed vs expected bars (the expected share comes from outcomeWeights), then the running
+// chi-square goodness-of-fit, the longest streak and the mismatch count
+function updateStatsUI() {
+    const table = getElement('debug-stats');
+    const summary = getElement('debug-stats-summary');
+    if (!table || !summary) return;
+    
+    const stats = outcomeStats;
+    const weights = GAME_CONFIG.outcomeWeights;
+    const weightTotal = weights.reduce((sum, weight) => sum + Math.max(0, weight), 0);
+    const observedShares = stats.landed.map(count => (stats.total > 0 ? count / stats.total : 0));
+    const expectedShares = stats.landed.map((count, i) => Math.max(0, weights[i] || 0) / weightTotal);
+    const scale = Math.max(...observedShares, ...expectedShares) || 1; // The largest share fills the bar
+    const percent = share => `${(share * 100).toFixed(1)}%`;
+    
+    table.innerHTML = '';
+    const addCell = (row, text, className = null) => {
+        const cell = document.createElement('span');
+        cell.textContent = text;
+        if (className) cell.className = className;
+        row.appendChild(cell);
+        return cell;
+    };
+    const header = document.createElement('div');
+    header.className = 'stats-row stats-header';
+    ['#', 'Observed | expected', 'Landed', 'Exp.'].forEach(text => addCell(header, text));
+    table.appendChild(header);
+    
+    stats.landed.forEach((count, i) => {
+        const row = document.createElement('div');
+        row.className = 'stats-row';
+        row.title = `Bucket ${i + 1}: ${count} landed (${percent(observedShares[i])}), expected ${percent(expectedShares[i])}, ` +
+            `longest streak ${stats.longestStreaks[i]}, ${stats.mismatches[i]} aimed here landed elsewhere`;
+        addCell(row, String(i + 1));
+        
+        const bar = addCell(row, '', 'stats-bar');
+        const fill = document.createElement('span');
+        fill.className = 'stats-bar-fill';
+        fill.style.width = `${observedShares[i] / scale * 100}%`;
+        const expectedMark = document.createElement('span');
+        expectedMark.className = 'stats-bar-expected';
+        expectedMark.style.left = `${expectedShares[i] / scale * 100}%`;
+        bar.appendChild(fill);
+        bar.appendChild(expectedMark);
+        
+        addCell(row, `${count} (${percent(observedShares[i])})`);
+        addCell(row, percent(expectedShares[i]));
+        table.appendChild(row);
+    });
+    
+    if (stats.total === 0) {
+        summary.textContent = 'No balls landed';
+        return;
+    }
+    
+    const test = PlinkoSimulation.chiSquareGoodnessOfFit(stats.landed, weights);
+    summary.innerHTML = '';
+    const addLine = (text, warning = false) => {
+        const line = document.createElement('div');
+        line.textContent = text;
+        if (warning) line.className = 'stats-warning';
+        summary.appendChild(line);
+    };
+    
+    if (test.pValue === null) {
+        addLine('Chi-square: needs two or more weighted buckets');
+    } else {
+        addLine(`Chi-square ${test.statistic.toFixed(2)} (df ${test.degreesOfFreedom}), p = ${test.pValue.toFixed(4)}` +
+            (test.minExpected < 5 ? ' - approximate, fewer than 5 expected in a bucket' : ''));
+    }
+    if (stats.picked > 0) {
+        addLine(`${stats.picked} of ${stats.total} balls were not drawn from outcomeWeights - the test assumes every one was`, true);
+    }
+    const longest = Math.max(...stats.longestStreaks);
+    const longestBucket = stats.longestStreaks.indexOf(longest) + 1;
+    addLine(`Longest streak: ${longest}x bucket ${longestBucket} (current ${stats.streakLength}x bucket ${stats.streakBucket})`);
+    const mismatches = stats.mismatches.reduce((sum, count) => sum + count, 0);
+    addLine(`Target mismatches: ${mismatches} of ${stats.total} balls`, mismatches > 0);
+}
+
+function initStatsControls() {
+    getElement('debug-stats-clear').addEventListener('click', clearOutcomeStats);
+    updateStatsUI();
+}
+
+// Keys of every heatmap view - all balls, then each target bucket
+function getPegHeatKeys() {
+    return ['all', ...Array.from({ length: GAME_CONFIG.bucketCount }, (_, i) => i + 1)];
+}
+
+function updateHeatmapUI() {
+    const filterSelect = getElement('debug-heatmap-filter');
+    const summaryValue = getElement('debug-heatmap-summary');
+    const toggleButton = getElement('debug-heatmap-toggle');
+    const legend = getElement('heatmap-legend');
+    const summary = summarizePegHeat(pegHeatFilter);
+    const viewName = pegHeatFilter === 'all' ? 'all buckets' : `target bucket ${pegHeatFilter}`;
+    
+    if (filterSelect) filterSelect.value = String(pegHeatFilter);
+    if (toggleButton) toggleButton.textContent = GAME_CONFIG.pegHeatmap ? 'Hide' : 'Show';
+    if (summaryValue) {
+        summaryValue.textContent = summary.balls === 0 ? 'No balls recorded' :
+            `${summary.balls} balls, ${summary.hits} hits on ${summary.pegsHit}/${pegLocations.length} pegs`;
+        summaryValue.title = summary.balls === 0 ? '' :
+            `Busiest peg: ${summary.maxHits} hits (${(summary.maxShare * 100).toFixed(1)}% of all hits)`;
+    }
+    if (legend) {
+        legend.hidden = !GAME_CONFIG.pegHeatmap || !debugMode;
+        getElement('heatmap-legend-title').textContent = `Peg hits - ${viewName} (${summary.balls} balls)`;
+        getElement('heatmap-legend-bar').style.background =
+            `linear-gradient(to right, ${GAME_CONFIG.pegHeatmapGradient.join(', ')})`;
+        getElement('heatmap-legend-max').textContent = summary.maxHits;
+    }
+}
+
+function handleHeatmapFilterChange(event) {
+    const value = event.target.value;
+    pegHeatFilter = value === 'all' ? 'all' : parseInt(value, 10);
+    updateHeatmapUI();
+}
+
+function clearPegHeat() {
+    pegHeat = {};
+    console.log('Peg heatmap cleared');
+    updateHeatmapUI();
+}
+
+// Download every peg's hit counts, overall and per target bucket, with a summary of each view
+function exportPegHeatmap() {
+    const keys = getPegHeatKeys();
+    const summaries = {};
+    keys.forEach(key => { summaries[key] = summarizePegHeat(key); });
+    
+    const content = JSON.stringify({
+        exportedAt: new Date().toISOString(),
+        board: {
+            pegRows: GAME_CONFIG.pegRows,
+            pegsPerRow: GAME_CONFIG.pegsPerRow,
+            pegLayout: GAME_CONFIG.pegLayout,
+            bucketCount: GAME_CONFIG.bucketCount
+        },
+        summary: summaries,
+        pegs: pegLocations.map((peg, index) => {
+            const hits = {};
+            keys.forEach(key => { hits[key] = pegHeat[key] ? pegHeat[key].hits[index] : 0; });
+            return { index: index, row: peg.row, col: peg.col, hits: hits };
+        })
+    }, null, 2);
+    
+    downloadFile(content, 'application/json', `plinko-peg-heatmap-${new Date().toISOString().slice(0, 10)}.json`);
+    console.log(`Peg heatmap exported: ${summaries.all.balls} balls`);
+}
+
+function initHeatmapControls() {
+    const filterSelect = getElement('debug-heatmap-filter');
+    if (filterSelect) {
+        filterSelect.innerHTML = '';
+        getPegHeatKeys().forEach(key => {
+            const option = document.createElement('option');
+            option.value = String(key);
+            option.textContent = key === 'all' ? 'All Buckets' : `Target Bucket ${key}`;
+            filterSelect.appendChild(option);
+        });
+        filterSelect.addEventListener('change', handleHeatmapFilterChange);
+    }
+    
+    getElement('debug-heatmap-toggle').addEventListener('click', () => {
+        GAME_CONFIG.pegHeatmap = !GAME_CONFIG.pegHeatmap;
+        updateHeatmapUI();
+    });
+    getElement('debug-heatmap-export').addEventListener('click', exportPegHeatmap);
+    getElement('debug-heatmap-clear').addEventListener('click', clearPegHeat);
+    updateHeatmapUI();
+}
+
+// outcomesOverride comes from the host (dropWithOutcome) or a re-run (handleRerunSeed). Re-runs are never
+// wagered and never logged - they only replay a seed's paths.
+async function handleDropBall(seedOverride = null, outcomesOverride = null, rerun = false) {
+    console.log(`[handleDropBall] Top: selectedBucket = ${selectedBucket}`);
+    if (isGameActive || gameState === 'awaiting' || (!outcomesOverride && !canDrop())) return;
+    
+    // Seed every random stream for this round - the same seed, targets and board width reproduce the same paths
+    const roundSeed = seedOverride !== null ? seedOverride : generateRoundSeed();
+    rngStreams = createRoundStreams(roundSeed);
+    
+    // Take every ball's bet up front - they are refunded if the round is voided. Unwagered rounds bet 0.
+    const ballCount = outcomesOverride ? outcomesOverride.length : currentBallCount;
+    const wagered = !rerun && (!!outcomesOverride || isWageredDrop());
+    const roundBet = wagered ? currentBet : 0;
+    const roundStake = roundCredits(roundBet * ballCount);
+    credits = roundCredits(credits - roundStake);
+    lastWin = 0;
+    
+    // Wait for the outcomes before anything moves - the board stays idle until every ball has a valid bucket
+    const requestId = ++outcomeRequestId;
+    gameState = 'awaiting';
+    lastOutcomeError = null;
+    updateControls();
+    updateWalletUI();
+    updateDebugInfo();
+    
+    let outcomes;
+    try {
+        outcomes = outcomesOverride || await requestRoundOutcomes({
+            seed: roundSeed,
+            selectedBucket: selectedBucket,
+            streams: rngStreams
+        }, ballCount);
+    } catch (error) {
+        refundBet(roundStake);
+        
+        // Reset while waiting - the bets were the only thing left to clean up
+        if (requestId !== outcomeRequestId) return;
+        handleOutcomeError(error, { seed: roundSeed, bet: roundBet, ballCount: ballCount });
+        return;
+    }
+    
+    // Reset while waiting - discard the late outcomes and return the bets
+    if (requestId !== outcomeRequestId) {
+        refundBet(roundStake);
+        return;
     }
     
-    // Now create the ball with verified position and path
-    targetBucket = selectedBucket;
+    const targets = outcomes.map(outcome => outcome.bucket);
+    console.log(`[handleDropBall] Outcomes from ${outcomes[0].meta.provider}: buckets ${targets.join(', ')}`);
     
-    // Reset state for new ball
-    landingHandled = false;
+    // For regulated gambling compliance, we'll pre-verify the outcome before showing animation
+    console.log("Pre-verifying paths for regulatory compliance...");
+    
+    // Start by noting we're in active game mode
+    isGameActive = true;
+    lastTimestamp = 0;
+    
+    const pathSource = getActivePathSource();
+    const planned = planRoundBalls(targets, liveBoard, pathSource, debugMode);
+    
+    // Reset state for the new balls
+    roundTargets = targets;
     gameStats.lastBucketLanded = null;
     gameState = 'dropping';
-    gameStats.totalDrops++;
-    
-    // Create ball with verified starting position
-    ball = {
-        x: verifiedStartX,
-        y: canvas.height * 0.05,
-        radius: GAME_CONFIG.ballRadius,
-        color: GAME_CONFIG.ballColor,
-        velocityX: 0, // Not used with animation path
-        velocityY: 0, // Not used with animation path
-        targetBucket: selectedBucket,
-        collisionCount: 0,
-        recentCollision: false,
-        collisionTimeout: null
+    gameStats.totalDrops += ballCount;
+    
+    // Create the balls on their verified paths - each launches at its planned delay
+    balls = planned.map((plannedBall, index) =>
+        createBallFlight(index, plannedBall.target, plannedBall.path, plannedBall.contacts, plannedBall.delay));
+    debugLandingMarkers = [];
+    roundElapsed = 0;
+    roundFrameTime = null;
+    animationDuration = Math.max(...balls.map(flight => flight.delay + flight.duration));
+    
+    // Record the round so it can be re-run from its seed
+    const previousRound = currentRound;
+    currentRound = {
+        seed: roundSeed,
+        ballCount: ballCount,
+        targets: targets,
+        outcomes: outcomes,
+        bet: roundBet,
+        wagered: wagered,
+        rerun: rerun,
+        settled: false,
+        payout: 0,
+        durationMs: animationDuration,
+        pathSource: pathSource,
+        pathLibraryId: pathSource === 'library' ? pathLibrary.id : null,
+        balls: planned.map(plannedBall => ({
+            target: plannedBall.target,
+            startX: plannedBall.startX,
+            delay: plannedBall.delay,
+            path: plannedBall.path,
+            contacts: plannedBall.contacts,
+            pathAttempts: plannedBall.attempts,
+            pathRetries: plannedBall.pathRetries,
+            separationRetries: plannedBall.separationRetries,
+            launchHoldMs: plannedBall.launchHoldMs,
+            generationMs: plannedBall.generationMs,
+            usedFallback: plannedBall.usedFallback,
+            candidateLog: plannedBall.candidateLog,
+            pathQuality: plannedBall.quality,
+            pathSource: plannedBall.pathSource,
+            libraryIndex: plannedBall.libraryIndex || null,
+            landed: null,
+            settled: false,
+            multiplier: null,
+            payout: null
+        })),
+        concealTarget: outcomes[0].meta.mode === 'random' || outcomes[0].meta.provider !== 'player',
+        boardWidth: canvas.width,
+        pathHash: hashString(JSON.stringify(planned.map(plannedBall => [plannedBall.delay, plannedBall.path])))
     };
     
-    // Set up path animation
-    animationPath = verifiedPath;
-    animationStartTime = performance.now();
-    animationDuration = verifiedPath[verifiedPath.length - 1].time;
+    // When re-running a seed, confirm the regenerated paths match the original byte for byte
+    if (previousRound && previousRound.seed === currentRound.seed && previousRound.targets.join() === currentRound.targets.join()) {
+        if (previousRound.boardWidth !== currentRound.boardWidth) {
+            console.warn(`Seed ${formatSeed(roundSeed)} re-run on a ${currentRound.boardWidth}px board (original ${previousRound.boardWidth}px) - paths will differ`);
+        } else if (previousRound.pathSource !== currentRound.pathSource || previousRound.pathLibraryId !== currentRound.pathLibraryId) {
+            console.warn(`Seed ${formatSeed(roundSeed)} re-run from a different path source - paths will differ`);
+        } else if (previousRound.pathHash === currentRound.pathHash) {
+            console.log(`Seed ${formatSeed(roundSeed)} reproduced identical paths (hash ${formatSeed(currentRound.pathHash)})`);
+        } else {
+            console.error(`Seed ${formatSeed(roundSeed)} produced different paths: ${formatSeed(previousRound.pathHash)} vs ${formatSeed(currentRound.pathHash)}`);
+        }
+    }
+    
+    balls.forEach(flight => {
+        console.log(`Ball ${flight.index + 1} dropped: Target=${flight.target}, Seed=${formatSeed(roundSeed)}, StartX=${flight.ball.x.toFixed(2)}, ` +
+            `StartY=${flight.ball.y.toFixed(2)}, Launch=${flight.delay}ms`);
+    });
     
-    console.log(`Ball dropped: Target=${targetBucket}, StartX=${ball.x.toFixed(2)}, StartY=${ball.y.toFixed(2)}`);
+    events.emit('roundStart', {
+        seed: formatSeed(roundSeed),
+        ballCount: ballCount,
+        targets: targets.slice(),
+        bet: roundBet,
+        stake: roundStake,
+        provider: outcomes[0].meta.provider
+    });
+    planned.forEach((plannedBall, index) => {
+        events.emit('pathGenerated', {
+            ballIndex: index,
+            target: plannedBall.target,
+            delay: plannedBall.delay,
+            durationMs: balls[index].duration,
+            generationMs: plannedBall.generationMs,
+            attempts: plannedBall.attempts,
+            pathRetries: plannedBall.pathRetries,
+            usedFallback: plannedBall.usedFallback,
+            pathSource: plannedBall.pathSource,
+            qualityScore: plannedBall.quality ? plannedBall.quality.score : null
+        });
+    });
     
     // Update UI
     updateControls();
     updateModeUI();
     updateDebugInfo();
+    updateTelemetryUI();
     
     // Start animation
     isGameActive = true;
 }
 
+// Void the round after a failed outcome request and put the board back into a safe, idle state
+function handleOutcomeError(error, voidedRound) {
+    console.error(`Outcome request failed - round voided: ${error.message}`);
+    lastOutcomeError = error.message;
+    recordRound(voidedRound, 'voided', null, error.message);
+    
+    isGameActive = false;
+    gameState = 'ready';
+    balls = [];
+    roundTargets = [];
+    
+    showRoundError('ROUND VOIDED');
+    stopAutoPlay('round voided');
+    updateControls();
+    updateModeUI();
+    updateDebugInfo();
+    drawGame();
+}
+
+// Refresh the provably fair panel - commitment, client seed, nonce and last reveal
+function updateFairUI() {
+    const fairPanel = getElement('fair-panel');
+    if (fairPanel) fairPanel.hidden = GAME_CONFIG.outcomeProvider !== 'provablyFair';
+    
+    const commitment = getElement('fair-commitment');
+    const clientSeedInput = getElement('fair-client-seed');
+    const nonceDisplay = getElement('fair-nonce');
+    const revealDisplay = getElement('fair-reveal');
+    
+    if (commitment) {
+        commitment.textContent = fairState.serverSeedHash ||
+            (fairState.commitError ? `Unavailable: ${fairState.commitError}` : (fairState.ready ? 'Committing...' : 'Not committed'));
+    }
+    if (clientSeedInput && document.activeElement !== clientSeedInput) {
+        clientSeedInput.value = fairState.clientSeed;
+    }
+    if (nonceDisplay) nonceDisplay.textContent = fairState.nonce;
+    if (revealDisplay) {
+        if (!lastFairReveal) {
+            revealDisplay.textContent = 'None';
+        } else if (lastFairReveal.revealError) {
+            revealDisplay.textContent = `NOT REVEALED: ${lastFairReveal.revealError}`;
+        } else if (!lastFairReveal.serverSeed) {
+            revealDisplay.textContent = 'Revealing...';
+        } else {
+            revealDisplay.textContent = `${lastFairReveal.serverSeed} (nonce ${formatNonceRange(lastFairReveal)}, ` +
+                `bucket${lastFairReveal.buckets.length > 1 ? 's' : ''} ${lastFairReveal.buckets.join(', ')}) - ` +
+                (lastFairReveal.verified ? 'matches the commitment' : 'DOES NOT MATCH the commitment');
+        }
+        revealDisplay.classList.toggle('invalid', !!lastFairReveal && (!!lastFairReveal.revealError || lastFairReveal.verified === false));
+    }
+}
+
+// Players may pick their own client seed between rounds
+function handleClientSeedChange(event) {
+    if (isGameActive || gameState === 'awaiting') return;
+    
+    const clientSeed = event.target.value.trim();
+    if (!clientSeed) {
+        event.target.value = fairState.clientSeed;
+        return;
+    }
+    fairState.clientSeed = clientSeed;
+    console.log(`[handleClientSeedChange] Client seed: ${clientSeed}`);
+}
+
+// Recompute a bucket from the three fair values and check them against the commitment
+async function handleFairVerify() {
+    const serverSeed = getElement('fair-verify-server-seed').value.trim();
+    const clientSeed = getElement('fair-verify-client-seed').value.trim();
+    const nonce = parseInt(getElement('fair-verify-nonce').value, 10);
+    const verifyResult = getElement('fair-verify-result');
+    
+    if (!serverSeed || !clientSeed || !Number.isInteger(nonce) || nonce < 0) {
+        verifyResult.textContent = 'Enter a server seed, client seed and nonce';
+        verifyResult.className = 'fair-verify-result invalid';
+        return;
+    }
+    
+    try {
+        const serverSeedHash = await sha256Hex(serverSeed);
+        const result = await computeFairOutcome(serverSeed, clientSeed, nonce);
+        
+        // Compare against the commitment of the revealed round with the same seeds, if any (each ball has its own nonce)
+        const ballIndex = lastFairReveal ? lastFairReveal.nonces.indexOf(nonce) : -1;
+        const isRevealedRound = lastFairReveal && lastFairReveal.serverSeed === serverSeed &&
+            lastFairReveal.clientSeed === clientSeed && ballIndex >= 0 && ballIndex < lastFairReveal.buckets.length;
+        let message = `Bucket ${result.bucket} (roll ${result.roll.toFixed(6)}) - SHA-256 of server seed: ${serverSeedHash}`;
+        let isValid = true;
+        if (isRevealedRound) {
+            isValid = serverSeedHash === lastFairReveal.serverSeedHash && result.bucket === lastFairReveal.buckets[ballIndex];
+            message += isValid ? ' - matches the committed hash and landed bucket' : ' - DOES NOT match the committed round';
+        }
+        
+        verifyResult.textContent = message;
+        verifyResult.className = `fair-verify-result ${isValid ? 'valid' : 'invalid'}`;
+    } catch (error) {
+        verifyResult.textContent = error.message;
+        verifyResult.className = 'fair-verify-result invalid';
+    }
+}
+
+// Switch the outcome provider used for upcoming rounds
+function handleOutcomeProviderChange(event) {
+    if (!OUTCOME_PROVIDERS[event.target.value]) return;
+    
+    GAME_CONFIG.outcomeProvider = event.target.value;
+    lastOutcomeError = null;
+    if (GAME_CONFIG.outcomeProvider === 'provablyFair' && !fairState.ready) commitNextServerSeed();
+    console.log(`[handleOutcomeProviderChange] Outcome provider: ${GAME_CONFIG.outcomeProvider}`);
+    
+    updateControls();
+    updateFairUI();
+    updateDebugInfo();
+}
+
+// Fill the outcome provider selector from the registry
+function initOutcomeProviderSelect() {
+    const providerSelect = getElement('debug-outcome-provider');
+    if (!providerSelect) return;
+    
+    providerSelect.innerHTML = '';
+    Object.keys(OUTCOME_PROVIDERS).forEach(key => {
+        const option = document.createElement('option');
+        option.value = key;
+        option.textContent = OUTCOME_PROVIDERS[key].label;
+        option.selected = key === GAME_CONFIG.outcomeProvider;
+        providerSelect.appendChild(option);
+    });
+    providerSelect.addEventListener('change', handleOutcomeProviderChange);
+}
+
+// Re-run a round from the seed entered in the debug panel (defaults to the latest round)
+function handleRerunSeed() {
+    if (isGameActive || gameState === 'awaiting' || GAME_CONFIG.hostOutcomes) return;
+    
+    const seedInput = getElement('debug-seed-input');
+    const seedText = seedInput ? seedInput.value.trim() : '';
+    const seed = seedText ? parseSeed(seedText) : (currentRound ? currentRound.seed : null);
+    
+    if (seed === null) {
+        if (seedInput) seedInput.classList.add('invalid');
+        return;
+    }
+    if (seedInput) seedInput.classList.remove('invalid');
+    
+    // Re-running the latest round reuses its recorded outcomes (and so its ball count) so the paths can match
+    const outcomes = currentRound && seed === currentRound.seed ? currentRound.outcomes : drawRerunOutcomes(seed);
+    if (!outcomes) return;
+    
+    handleDropBall(seed, outcomes, true);
+}
+
+// Targets for re-running a new seed - drawn here, from the seed's selection stream, so a re-run never
+// reaches the fair commitment or a server. A picked bucket is used as is, anything else is a weighted draw.
+function drawRerunOutcomes(seed) {
+    const selection = createRoundStreams(seed).selection;
+    const outcomes = [];
+    for (let ballIndex = 0; ballIndex < currentBallCount; ballIndex++) {
+        if (GAME_CONFIG.outcomeProvider === 'player' && isBucketNumber(selectedBucket)) {
+            outcomes.push({ bucket: selectedBucket, meta: { provider: 'rerun' } });
+            continue;
+        }
+        try {
+            const draw = drawWeightedBucket(GAME_CONFIG.outcomeWeights, selection);
+            outcomes.push({ bucket: draw.bucket, meta: { provider: 'rerun', roll: draw.roll, probability: draw.probability } });
+        } catch (error) {
+            console.error(`Re-run of seed ${formatSeed(seed)} failed: ${error.message}`);
+            return null;
+        }
+    }
+    return outcomes;
+}
+
 function handleReset() {
-    // Only reset if game is active or ball exists
-    if (isGameActive || ball) {
+    // Only reset if game is active, an outcome is pending or a ball exists
+    if (isGameActive || balls.length || gameState === 'awaiting') {
         resetBall();
     }
 }
 
+// Fill the auto-play round selector and wire its controls
+function initAutoPlayControls() {
+    const roundsSelect = getElement('autoplay-rounds');
+    if (!roundsSelect) return;
+    
+    roundsSelect.innerHTML = '';
+    GAME_CONFIG.autoPlayRoundOptions.forEach(count => {
+        const option = document.createElement('option');
+        option.value = count;
+        option.textContent = count;
+        roundsSelect.appendChild(option);
+    });
+    getElement('autoplay-toggle').addEventListener('click', handleAutoPlayToggle);
+    
+    // Any click on this game or key press outside the auto-play panel is the player taking over - capture it
+    // before it reaches its target so e.g. a bucket pick never lands in between two automatic drops
+    root.addEventListener('pointerdown', handleAutoPlayInteraction, true);
+    document.addEventListener('keydown', handleAutoPlayInteraction, true);
+    
+    updateAutoPlayUI();
+}
+
+function handleAutoPlayToggle() {
+    if (autoPlayState) {
+        stopAutoPlay('stopped by player');
+    } else {
+        startAutoPlay();
+    }
+}
+
+function handleAutoPlayInteraction(event) {
+    if (!autoPlayState) return;
+    // Key presses belong to the game clicked last, and changing the speed is part of watching auto-play,
+    // not taking over from it
+    if (event.type === 'keydown' && (activeGameRoot !== root || getSpeedShortcut(event) || isDebugShortcut(event))) return;
+    if (event.target && event.target.closest &&
+        event.target.closest('[data-el="autoplay-panel"], [data-el="speed-select"], [data-el="debug-mode-toggle"]')) return;
+    stopAutoPlay('user interaction');
+}
+
+// Read an optional stop threshold - an empty or invalid field switches that condition off
+function readAutoPlayThreshold(id) {
+    const input = getElement(id);
+    const value = input ? parseFloat(input.value) : NaN;
+    return Number.isFinite(value) ? value : null;
+}
+
+// Chain rounds through handleDropBall exactly as if the player kept clicking Drop
+function startAutoPlay() {
+    if (autoPlayState || isGameActive || gameState === 'awaiting' || gameState === 'replay' || GAME_CONFIG.hostOutcomes) return;
+    
+    const roundsSelect = getElement('autoplay-rounds');
+    const total = parseInt(roundsSelect.value, 10);
+    if (!GAME_CONFIG.autoPlayRoundOptions.includes(total)) return;
+    
+    const mismatchToggle = getElement('autoplay-stop-mismatch');
+    autoPlayState = {
+        total: total,
+        remaining: total,
+        stopWinAbove: readAutoPlayThreshold('autoplay-stop-win'),
+        stopBalanceBelow: readAutoPlayThreshold('autoplay-stop-balance'),
+        stopOnMismatch: !!(mismatchToggle && mismatchToggle.checked),
+        timer: null
+    };
+    autoPlayStopReason = null;
+    console.log(`Auto-play started: ${total} rounds`);
+    
+    playAutoPlayRound();
+}
+
+function stopAutoPlay(reason) {
+    if (!autoPlayState) return;
+    
+    clearTimeout(autoPlayState.timer);
+    const played = autoPlayState.total - autoPlayState.remaining;
+    console.log(`Auto-play stopped after ${played}/${autoPlayState.total} rounds: ${reason}`);
+    
+    autoPlayState = null;
+    autoPlayStopReason = reason;
+    updateAutoPlayUI();
+}
+
+// Drop the next auto-played round, or stop if the player could not drop it by hand either
+function playAutoPlayRound() {
+    if (!autoPlayState) return;
+    autoPlayState.timer = null;
+    
+    if (!canDrop()) {
+        const provider = getOutcomeProvider();
+        stopAutoPlay(provider && provider.requiresSelection && selectedBucket === null ? 'no target selected' : 'not enough credits');
+        return;
+    }
+    
+    autoPlayState.remaining--;
+    updateAutoPlayUI();
+    handleDropBall();
+}
+
+// Check the stop conditions against the round that just finished, then schedule the next one
+function continueAutoPlay() {
+    if (!autoPlayState) return;
+    
+    const reason = getAutoPlayStopReason(currentRound);
+    if (reason) {
+        stopAutoPlay(reason);
+        return;
+    }
+    
+    autoPlayState.timer = setTimeout(playAutoPlayRound, GAME_CONFIG.autoPlayDelayMs);
+}
+
+function getAutoPlayStopReason(round) {
+    if (round && autoPlayState.stopOnMismatch) {
+        const mismatch = round.balls.find(roundBall => roundBall.landed !== roundBall.target);
+        if (mismatch) return `ball landed in ${mismatch.landed}, target ${mismatch.target}`;
+    }
+    if (round && autoPlayState.stopWinAbove !== null && round.payout > autoPlayState.stopWinAbove) {
+        return `won ${formatCredits(round.payout)}`;
+    }
+    if (autoPlayState.stopBalanceBelow !== null && credits < autoPlayState.stopBalanceBelow) {
+        return `balance ${formatCredits(credits)}`;
+    }
+    if (autoPlayState.remaining === 0) return 'all rounds played';
+    return null;
+}
+
+// Refresh the auto-play button, remaining-rounds counter and stop condition fields
+function updateAutoPlayUI() {
+    const toggleButton = getElement('autoplay-toggle');
+    const remainingDisplay = getElement('autoplay-remaining');
+    
+    if (toggleButton) {
+        toggleButton.textContent = autoPlayState ? 'Stop Auto' : 'Auto Play';
+        toggleButton.classList.toggle('active', !!autoPlayState);
+    }
+    if (remainingDisplay) {
+        if (autoPlayState) {
+            remainingDisplay.textContent = `${autoPlayState.remaining} of ${autoPlayState.total} rounds left`;
+        } else {
+            remainingDisplay.textContent = autoPlayStopReason ? `Stopped: ${autoPlayStopReason}` : '';
+        }
+    }
+    
+    // The stop conditions of a running auto-play are fixed
+    ['autoplay-rounds', 'autoplay-stop-win', 'autoplay-stop-balance', 'autoplay-stop-mismatch'].forEach(id => {
+        const control = getElement(id);
+        if (control) control.disabled = !!autoPlayState;
+    });
+}
+
+// Every storage key this game reads and writes
+function getStorageKeys() {
+    return [GAME_CONFIG.historyStorageKey, GAME_CONFIG.replayPathStorageKey, GAME_CONFIG.speedModeStorageKey, GAME_CONFIG.soundSettingsStorageKey];
+}
+
+// Refuse to start a second game on the same storage keys - it would mix its rounds into the other's log
+function claimStorageKeys() {
+    const taken = getStorageKeys().find(key => storageKeysInUse.has(key));
+    if (taken) {
+        throw new Error(`Storage key "${taken}" is used by another game on this page - give each game its own storageNamespace`);
+    }
+    getStorageKeys().forEach(key => storageKeysInUse.add(key));
+}
+
+// Refuse to start on a board the config cannot describe - the per-bucket tables must match the bucket count
+function checkGameConfig() {
+    PlinkoSimulation.checkBoardConfig(GAME_CONFIG);
+    ['outcomeWeights', 'paytable'].forEach(key => {
+        if (GAME_CONFIG[key].length !== GAME_CONFIG.bucketCount) {
+            throw new Error(`GAME_CONFIG.${key} has ${GAME_CONFIG[key].length} entries for ${GAME_CONFIG.bucketCount} buckets`);
+        }
+    });
+}
+
+// One target button per bucket, ahead of the Random button
+function renderBucketButtons() {
+    const container = root.querySelector('.bucket-buttons');
+    const randomButton = getElement('bucket-random');
+    
+    container.querySelectorAll('.target-btn:not(.random-btn)').forEach(btn => btn.remove());
+    for (let bucketNumber = 1; bucketNumber <= GAME_CONFIG.bucketCount; bucketNumber++) {
+        const button = document.createElement('button');
+        button.className = 'target-btn';
+        button.dataset.bucket = bucketNumber;
+        button.textContent = bucketNumber;
+        container.insertBefore(button, randomButton);
+    }
+    bucketButtons = container.querySelectorAll('button');
+}
+
 function addEventListeners() {
     // Add event listeners
     bucketButtons.forEach(btn => {
         btn.addEventListener('click', handleBucketSelection);
     });
     
-    dropButton.addEventListener('click', handleDropBall);
+    dropButton.addEventListener('click', () => handleDropBall());
+    
+    const rerunButton = getElement('debug-rerun');
+    if (rerunButton) rerunButton.addEventListener('click', handleRerunSeed);
+    const debugToggle = getElement('debug-mode-toggle');
+    if (debugToggle) debugToggle.addEventListener('click', () => setDebugMode(!debugMode));
+    document.addEventListener('keydown', handleDebugShortcut);
+    updateTelemetryUI();
+    const zonesButton = getElement('debug-zones-toggle');
+    if (zonesButton) {
+        zonesButton.textContent = GAME_CONFIG.showPathZones ? 'Hide Zones' : 'Show Zones';
+        zonesButton.addEventListener('click', toggleZoneOverlay);
+    }
+    
+    initOutcomeProviderSelect();
+    initBetSelect();
+    initBallCountSelect();
+    initSpeedSelect();
+    initSoundControls();
+    initAutoPlayControls();
+    
+    // Keyboard shortcuts follow the game clicked last (or the first game on the page)
+    if (!activeGameRoot) activeGameRoot = root;
+    root.addEventListener('pointerdown', handleGameFocus, true);
+    
+    getElement('history-toggle').addEventListener('click', toggleHistoryDrawer);
+    getElement('history-close').addEventListener('click', toggleHistoryDrawer);
+    getElement('history-export-json').addEventListener('click', () => exportRoundLog('json'));
+    getElement('history-export-csv').addEventListener('click', () => exportRoundLog('csv'));
+    initReplayControls();
+    initPathLibraryControls();
+    initHeatmapControls();
+    initStatsControls();
+    
+    const clientSeedInput = getElement('fair-client-seed');
+    if (clientSeedInput) clientSeedInput.addEventListener('change', handleClientSeedChange);
+    const fairVerifyButton = getElement('fair-verify');
+    if (fairVerifyButton) fairVerifyButton.addEventListener('click', handleFairVerify);
     resetButton.addEventListener('click', handleReset);
     window.addEventListener('resize', resizeCanvas);
 }
 
+// Every click on the game makes it the keyboard target, and the first one unlocks audio
+function handleGameFocus() {
+    activeGameRoot = root;
+    soundEngine.unlock();
+}
+
+function isBucketNumber(value) {
+    return Number.isInteger(value) && value >= 1 && value <= GAME_CONFIG.bucketCount;
+}
+
+// Drop the next round as the player would - optionally picking its target first ('random' or a bucket number)
+async function drop(target) {
+    if (destroyed) return;
+    if (GAME_CONFIG.hostOutcomes) throw new Error('Outcomes come from the host - use dropWithOutcome');
+    if (target !== undefined) {
+        if (target !== 'random' && !isBucketNumber(target)) {
+            throw new Error(`No bucket ${target} - pick 'random' or 1-${GAME_CONFIG.bucketCount}`);
+        }
+        selectBucket(target);
+    }
+    return handleDropBall();
+}
+
+// Drop a round whose outcome was decided outside the game (e.g. by a lobby's server) - one bucket per ball,
+// each bet at the current bet. meta is kept with the outcomes (meta.roundId shows in the debug panel and log).
+async function dropWithOutcome(buckets, meta = {}) {
+    if (destroyed) return;
+    if (!Array.isArray(buckets) || buckets.length === 0) throw new Error('Expected a list with one bucket per ball');
+    const invalid = buckets.find(bucket => !isBucketNumber(bucket));
+    if (invalid !== undefined) throw new Error(`No bucket ${invalid} - buckets are 1-${GAME_CONFIG.bucketCount}`);
+    if (isGameActive || gameState === 'awaiting') throw new Error('A round is already in progress');
+    
+    const stake = roundCredits(currentBet * buckets.length);
+    if (credits < stake) throw new Error(`Balance ${formatCredits(credits)} does not cover the ${formatCredits(stake)} stake`);
+    
+    const outcomes = buckets.map(bucket => ({ bucket: bucket, meta: Object.assign({ provider: 'host' }, meta) }));
+    return handleDropBall(null, outcomes);
+}
+
+// Replace the credit balance, e.g. with the lobby's authoritative wallet - only between rounds
+function setBalance(amount) {
+    if (!(typeof amount === 'number' && Number.isFinite(amount) && amount >= 0)) {
+        throw new Error(`Invalid balance ${amount}`);
+    }
+    if (isGameActive || gameState === 'awaiting') throw new Error('The balance can only be set between rounds');
+    
+    credits = roundCredits(amount);
+    console.log(`Balance set to ${formatCredits(credits)}`);
+    updateControls();
+    updateWalletUI();
+}
+
+function getBalance() {
+    return credits;
+}
+
+// Tear the game down - a round in flight is settled like a reset, then every listener, loop and element goes
+function destroy() {
+    if (destroyed) return;
+    
+    resetBall();
+    destroyed = true;
+    cancelAnimationFrame(animationFrameId);
+    
+    window.removeEventListener('resize', resizeCanvas);
+    document.removeEventListener('keydown', handleSpeedShortcut);
+    document.removeEventListener('keydown', handleDebugShortcut);
+    document.removeEventListener('keydown', handleAutoPlayInteraction, true);
+    root.removeEventListener('pointerdown', handleAutoPlayInteraction, true);
+    root.removeEventListener('pointerdown', handleGameFocus, true);
+    if (activeGameRoot === root) activeGameRoot = null;
+    
+    soundEngine.destroy();
+    getStorageKeys().forEach(key => storageKeysInUse.delete(key));
+    root.innerHTML = '';
+    events.clear();
+    console.log('Game destroyed');
+}
+
 // Initialize the game
 initGame();
 
+// Fetch the first provably fair commitment (only when fair mode is in use - other rounds never need a fair server)
+if (GAME_CONFIG.outcomeProvider === 'provablyFair') commitNextServerSeed();
+
+// Fetch the precomputed path library (rounds simulate their paths until it arrives)
+loadPathLibraryFromUrl(GAME_CONFIG.pathLibraryUrl);
+
 // Initial UI update
 updateControls();
+updateWalletUI();
+updateFairUI();
 updateModeUI();
 updateDebugInfo();
+
+return {
+    on: events.on,
+    off: events.off,
+    drop: drop,
+    dropWithOutcome: dropWithOutcome,
+    setBalance: setBalance,
+    getBalance: getBalance,
+    reset: handleReset,
+    resize: resizeCanvas,
+    destroy: destroy
+};
+}
+
+// Public game API - one instance per container, options override GAME_CONFIG keys
+// (e.g. new PlinkoGame(element, { bucketCount: 7, outcomeWeights: [...], paytable: [...] }))
+class PlinkoGame {
+    #game;
+    
+    constructor(container, options = {}) {
+        if (!container || typeof container.querySelector !== 'function') {
+            throw new Error('PlinkoGame needs a container element');
+        }
+        this.container = container;
+        this.#game = createGame(container, options);
+    }
+    
+    // Subscribe to a lifecycle event (see GAME_EVENTS) - returns a function that unsubscribes again
+    on(eventName, listener) {
+        return this.#game.on(eventName, listener);
+    }
+    
+    off(eventName, listener) {
+        this.#game.off(eventName, listener);
+    }
+    
+    // Drop a round, optionally choosing its target first - resolves once its balls are falling (or it was voided)
+    drop(target) {
+        return this.#game.drop(target);
+    }
+    
+    // Drop a round with outcomes decided by the host - one bucket per ball; meta (e.g. { roundId }) is logged with them
+    dropWithOutcome(buckets, meta) {
+        return this.#game.dropWithOutcome(buckets, meta);
+    }
+    
+    // Replace the credit balance (between rounds only)
+    setBalance(amount) {
+        this.#game.setBalance(amount);
+    }
+    
+    getBalance() {
+        return this.#game.getBalance();
+    }
+    
+    // Clear the board - a round in flight is settled at its decided outcome
+    reset() {
+        this.#game.reset();
+    }
+    
+    // Fit the board to its container again, e.g. after the host changed the container's size
+    resize() {
+        this.#game.resize();
+    }
+    
+    // Remove the game from its container and release every listener
+    destroy() {
+        this.#game.destroy();
+    }
+}
+
+return PlinkoGame;
 });
\ No newline at end of file
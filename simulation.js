@@ -0,0 +1,1599 @@
+// Headless Plinko simulation - board layout, seeded randomness and path generation with no DOM,
+// canvas or timers. The game loads it as a plain script (window.PlinkoSimulation); Node tools
+// require() it (see tools/simulate.js).
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.PlinkoSimulation = factory();
+    }
+})(typeof self !== 'undefined' ? self : this, function () {
+    'use strict';
+    
+    // Simulation settings - the game builds its GAME_CONFIG on top of these (see main.js)
+    const DEFAULT_CONFIG = {
+        // Board geometry (see BOARD_LIMITS for the supported ranges)
+        pegRows: 9,
+        pegsPerRow: 11,        // Pegs in the widest row
+        pegLayout: 'triangle', // 'triangle', 'grid' or 'staggered' (see PEG_LAYOUTS)
+        bucketCount: 5,
+        bucketDepth: 0.18,     // Bucket height as proportion of board height
+        gravity: 0.3,
+        ballRestitution: 0.85,
+        rngAlgorithm: 'mulberry32',
+        
+        // Path influence zones - guided paths lean towards a direction at peg contacts in these rows (see computePegInfluence)
+        // direction: 'target' (towards the target bucket), -1 = left, 0 = neutral, 1 = right; strength 0-1
+        pathZones: [
+            { startRow: 0, endRow: 4, direction: 'target', strength: 0.5 },
+            { startRow: 5, endRow: 8, direction: 'target', strength: 0.7 },
+            { startRow: 9, endRow: 12, direction: 'target', strength: 1.0 }
+        ],
+        pathZoneMaxBias: 0.35,  // Largest turn (radians) a zone gives a peg bounce - inside the bounce's own random spread
+        
+        // Rigid-body physics engine (see simulatePhysicsDrop)
+        pathEngine: 'guided',         // 'guided' (steered simulation) or 'physics'
+        physicsGravity: 1.4,          // Board widths per s² (~1100 px/s² on an 800px board, like the guided paths)
+        physicsStepRate: 240,         // Fixed physics steps per second
+        physicsPegFriction: 0.05,     // Fraction of tangential speed lost in a peg bounce
+        physicsLaunchSpeed: 0.1,      // Fastest initial ball speed, board widths per second
+        physicsMaxDurationMs: 8000,   // Drops still on the board after this are abandoned
+        physicsSearchAttempts: 400,   // Start conditions tried before falling back to a guided path
+        physicsPathQuality: {         // pathQuality overrides for physics paths - real flight only ever bends
+            maxPeakAcceleration: Infinity, // under gravity, so the limits that catch steering are switched off
+            maxCurvature: Infinity,
+            rejectWrongFinalDirection: false
+        },
+        
+        // Path quality policy - simulated paths failing any limit are re-simulated (see evaluatePathQuality)
+        pathQuality: {
+            minEdgeMargin: 0.1,           // Closest landing distance to a bucket wall, as a fraction of its width
+            maxFinalVelocityX: 400,       // Horizontal landing speed (px/s)
+            maxPeakAcceleration: 3000,    // Largest mid-air acceleration between contacts (px/s², gravity is ~1100)
+            maxCurvature: 10,             // Largest mid-air turning rate between contacts (rad/s)
+            maxStalledMs: 250,            // Time spent moving slower than stallSpeed
+            stallSpeed: 20,               // px/s
+            minPegContacts: 1,
+            maxWallHits: 1,
+            edgeBucketMinPegContacts: 4,  // Edge-bucket paths that touched a wall need this many peg contacts
+            rejectWrongFinalDirection: true // Reject paths ending off-centre while still heading away from the bucket
+        },
+        
+        // Path library
+        pathLibraryVersion: 1,
+        pathLibraryReferenceWidth: 800,
+        pathLibraryPathsPerBucket: 1000,
+        pathLibraryScale: 10000,
+        pathLibraryEdgeMargin: 0.1
+    };
+    
+    const PATH_LIBRARY_FORMAT = 'deterministic-plinko-path-library';
+    const BUCKET_TOP = 0.84; // Bucket tops as a proportion of board height
+    const PATH_CONTACT_WINDOW = 2; // Steps either side of a contact left out of acceleration and curvature
+    
+    // Where simulation messages go - tools running thousands of drops swap in a quieter logger
+    let log = console;
+    
+    function setLogger(logger) {
+        log = logger;
+    }
+    
+    // Seedable PRNG algorithms - each takes a 32-bit seed and returns a function yielding floats in [0, 1)
+    const RNG_ALGORITHMS = {
+        // Small and fast, plenty for visual simulation
+        mulberry32: (seed) => {
+            let state = seed >>> 0;
+            return () => {
+                state = (state + 0x6D2B79F5) >>> 0;
+                let t = state;
+                t = Math.imul(t ^ (t >>> 15), t | 1);
+                t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+                return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+            };
+        },
+        // 128-bit state, expanded from the 32-bit seed with splitmix32
+        sfc32: (seed) => {
+            let s = seed >>> 0;
+            const splitmix = () => {
+                s = (s + 0x9E3779B9) >>> 0;
+                let z = s;
+                z = Math.imul(z ^ (z >>> 16), 0x85EBCA6B);
+                z = Math.imul(z ^ (z >>> 13), 0xC2B2AE35);
+                return (z ^ (z >>> 16)) >>> 0;
+            };
+            let a = splitmix(), b = splitmix(), c = splitmix(), d = splitmix();
+            return () => {
+                const t = (((a + b) >>> 0) + d) >>> 0;
+                d = (d + 1) >>> 0;
+                a = b ^ (b >>> 9);
+                b = (c + (c << 3)) >>> 0;
+                c = ((c << 21) | (c >>> 11)) >>> 0;
+                c = (c + t) >>> 0;
+                return t / 4294967296;
+            };
+        }
+    };
+    
+    // 32-bit FNV-1a hash, used for stream derivation and path fingerprints
+    function hashString(str) {
+        let hash = 0x811C9DC5;
+        for (let i = 0; i < str.length; i++) {
+            hash ^= str.charCodeAt(i);
+            hash = Math.imul(hash, 0x01000193);
+        }
+        return hash >>> 0;
+    }
+
+    // Seeds are displayed and entered as 8 hex digits
+    function formatSeed(seed) {
+        return (seed >>> 0).toString(16).padStart(8, '0');
+    }
+
+    function parseSeed(text) {
+        const clean = String(text).trim().replace(/^0x/i, '');
+        if (!/^[0-9a-f]{1,8}$/i.test(clean)) return null;
+        return parseInt(clean, 16) >>> 0;
+    }
+
+    // Create a PRNG instance using the given algorithm
+    function createRng(seed, algorithm = DEFAULT_CONFIG.rngAlgorithm) {
+        const factory = RNG_ALGORITHMS[algorithm] || RNG_ALGORITHMS.mulberry32;
+        return {
+            seed: seed >>> 0,
+            algorithm: algorithm,
+            random: factory(seed >>> 0)
+        };
+    }
+
+    // Split a round seed into independent streams so effects never shift the outcome sequence
+    // (selection is reserved for local bucket draws so the path for a given target never depends on it)
+    function createRoundStreams(roundSeed, algorithm = DEFAULT_CONFIG.rngAlgorithm) {
+        return {
+            seed: roundSeed >>> 0,
+            selection: createRng(hashString(`${roundSeed >>> 0}:selection`), algorithm),
+            outcome: createRng(hashString(`${roundSeed >>> 0}:outcome`), algorithm),
+            cosmetic: createRng(hashString(`${roundSeed >>> 0}:cosmetic`), algorithm)
+        };
+    }
+    
+    // Board geometry for a given width - every position scales with it, so paths can be generated
+    // for any board size. Pegs and buckets carry geometry only; the game adds its visual state.
+    function createBoard(width, config = DEFAULT_CONFIG) {
+        const height = Math.floor(width * 1.3); // Canvas heights are whole pixels
+        const pegRadius = Math.floor(width / 100);
+        const ballRadius = Math.floor(width / 60);
+        checkBoardConfig(config);
+        const pegLayout = buildPegLayout(width, height, pegRadius, config);
+        
+        return {
+            width: width,
+            height: height,
+            pegRadius: pegRadius,
+            ballRadius: ballRadius,
+            pegRows: config.pegRows,
+            pegLayout: config.pegLayout,
+            pegSpacing: pegLayout.spacing,
+            // How far the guided simulation keeps the ball centre from a peg centre - capped on dense
+            // boards so neighbouring pegs do not close every gap (the cap never binds at 11 pegs per row)
+            pegClearance: Math.min(pegRadius + ballRadius * 2 + 2, pegLayout.spacing * 0.6),
+            gravity: config.gravity,
+            pathZones: config.pathZones || [],
+            pathZoneMaxBias: config.pathZoneMaxBias || 0,
+            pathQuality: config.pathQuality,
+            physics: {
+                gravity: config.physicsGravity * width, // px/s²
+                restitution: config.ballRestitution,
+                pegFriction: config.physicsPegFriction,
+                stepRate: config.physicsStepRate,
+                launchSpeed: config.physicsLaunchSpeed * width, // px/s
+                maxDurationMs: config.physicsMaxDurationMs,
+                searchAttempts: config.physicsSearchAttempts,
+                pathQuality: Object.assign({}, config.pathQuality, config.physicsPathQuality)
+            },
+            pegs: pegLayout.pegs,
+            buckets: buildBucketLayout(width, height, config.bucketCount, config.bucketDepth)
+        };
+    }
+    
+    // Peg layout families - each gives the number of pegs in a row (rows are centred on the board,
+    // so rows with one peg fewer sit half a spacing in from their neighbours)
+    const PEG_LAYOUTS = {
+        // One peg at the top widening to pegsPerRow at the bottom
+        triangle: (row, pegRows, pegsPerRow) => {
+            const progressRatio = pegRows > 1 ? row / (pegRows - 1) : 1;
+            return Math.max(1, Math.min(Math.round(1 + progressRatio * (pegsPerRow - 1)), pegsPerRow));
+        },
+        // Full rectangle - pegsPerRow in every row, columns lined up
+        grid: (row, pegRows, pegsPerRow) => pegsPerRow,
+        // Classic Plinko board - rows alternate between pegsPerRow and pegsPerRow - 1
+        staggered: (row, pegRows, pegsPerRow) => row % 2 === 0 ? pegsPerRow : pegsPerRow - 1
+    };
+    
+    // Supported ranges for the configurable geometry
+    const BOARD_LIMITS = {
+        pegRows: { min: 2, max: 16 },
+        pegsPerRow: { min: 2, max: 17 },   // Any more and the ball no longer fits between pegs
+        bucketCount: { min: 3, max: 17 }
+    };
+    
+    // Throw if the config describes a board this module cannot lay out
+    function checkBoardConfig(config) {
+        Object.keys(BOARD_LIMITS).forEach(key => {
+            const value = config[key];
+            const limits = BOARD_LIMITS[key];
+            if (!Number.isInteger(value) || value < limits.min || value > limits.max) {
+                throw new Error(`${key} must be a whole number from ${limits.min} to ${limits.max} (got ${value})`);
+            }
+        });
+        if (!PEG_LAYOUTS[config.pegLayout]) {
+            throw new Error(`unknown pegLayout '${config.pegLayout}' (expected ${Object.keys(PEG_LAYOUTS).join(', ')})`);
+        }
+        (config.pathZones || []).forEach((zone, i) => {
+            if (!Number.isInteger(zone.startRow) || !Number.isInteger(zone.endRow) || zone.startRow > zone.endRow) {
+                throw new Error(`pathZones[${i}] needs whole-number rows with startRow <= endRow`);
+            }
+            if (!['target', -1, 0, 1].includes(zone.direction)) {
+                throw new Error(`pathZones[${i}].direction must be 'target', -1, 0 or 1 (got ${zone.direction})`);
+            }
+            if (!(zone.strength >= 0 && zone.strength <= 1)) {
+                throw new Error(`pathZones[${i}].strength must be from 0 to 1 (got ${zone.strength})`);
+            }
+        });
+    }
+    
+    // Build peg positions for the configured layout family
+    function buildPegLayout(width, height, pegRadius, config) {
+        const pegs = [];
+        const startX = width / 2;
+        const startY = height * 0.08; // Reduced top spacing
+        const pegsInRow = PEG_LAYOUTS[config.pegLayout];
+        
+        // Distribute pegs across the full width of the canvas
+        // Calculate proper spacing based on desired number of pegs in the widest row
+        const horizontalSpacing = width / (config.pegsPerRow + 1);
+        
+        // Rows sit in equilateral triangles (approx. sqrt(3)/2), squeezed together when there are
+        // too many to fit above the buckets
+        const lowestRowY = height * BUCKET_TOP - horizontalSpacing;
+        const verticalSpacing = Math.min(horizontalSpacing * 0.866, (lowestRowY - startY) / Math.max(1, config.pegRows - 1));
+        
+        for (let row = 0; row < config.pegRows; row++) {
+            const pegsInThisRow = pegsInRow(row, config.pegRows, config.pegsPerRow);
+            
+            // Calculate the starting x-position to center the row
+            const rowWidth = (pegsInThisRow - 1) * horizontalSpacing;
+            const rowStartX = startX - rowWidth / 2;
+            
+            // Place each peg in this row
+            for (let i = 0; i < pegsInThisRow; i++) {
+                const pegX = rowStartX + i * horizontalSpacing;
+                
+                pegs.push({
+                    x: pegX,
+                    y: startY + row * verticalSpacing,
+                    radius: pegRadius,
+                    row: row,
+                    col: i
+                });
+            }
+        }
+        
+        return { pegs: pegs, spacing: horizontalSpacing };
+    }
+    
+    // Build bucket positions
+    function buildBucketLayout(width, height, bucketCount, bucketDepth) {
+        const buckets = [];
+        
+        // Bucket dimensions - position closer to bottom pegs
+        // Adjust Y position to accommodate taller buckets
+        const bucketY = height * BUCKET_TOP;
+        const bucketHeight = height * bucketDepth;
+        
+        // Simple division - equal buckets across the full canvas
+        const bucketWidth = width / bucketCount;
+        
+        // Position the buckets
+        for (let i = 0; i < bucketCount; i++) {
+            // Simple positioning - evenly distribute buckets
+            const bucketCenterX = (i + 0.5) * bucketWidth;
+            
+            buckets.push({
+                x: bucketCenterX,
+                y: bucketY, 
+                width: bucketWidth,
+                height: bucketHeight,
+                number: i + 1
+            });
+        }
+        
+        return buckets;
+    }
+    
+    // Which bucket a final x position falls in (null if it misses every bucket)
+    function findLandingBucket(x, board) {
+        for (let i = 0; i < board.buckets.length; i++) {
+            const bucket = board.buckets[i];
+            if (x >= bucket.x - bucket.width/2 && x <= bucket.x + bucket.width/2) {
+                return i + 1;
+            }
+        }
+        return null;
+    }
+    
+    // Get initial ball position with increased randomness
+    function calculateInitialBallPosition(targetBucketNum, board, random) {
+        // Always start in a random position within the top third of the canvas
+        // This prevents players from predicting the outcome based on starting position
+        
+        // Use full width with safety margin for starting positions
+        const safetyMargin = board.ballRadius * 3;
+        const minX = safetyMargin;
+        const maxX = board.width - safetyMargin;
+        
+        // Completely random position across the full width
+        // This makes paths much more varied
+        let xPos = minX + random() * (maxX - minX);
+        
+        // Add some occasional extreme positions to increase variety
+        if (random() < 0.3) { // 30% chance of an extreme-ish position
+            // Pick left or right side extreme
+            if (random() < 0.5) {
+                // Left side extreme
+                xPos = minX + random() * (board.width * 0.25);
+            } else {
+                // Right side extreme
+                xPos = (board.width * 0.75) + random() * (maxX - (board.width * 0.75));
+            }
+        }
+        
+        return xPos;
+    }
+    
+    // Path quality - measure how natural a finished path looks, independent of how it was made.
+    // Speeds are px/s, accelerations px/s², turning rates rad/s; samples within pathContactWindow
+    // steps of a contact are left out, since bounces are meant to be sharp.
+    function measurePath(path, board, targetBucketIndex, contacts = detectPathContacts(path, board)) {
+        const segments = [];
+        for (let i = 1; i < path.length; i++) {
+            const dt = path[i].time - path[i - 1].time;
+            if (dt <= 0) continue;
+            segments.push({
+                time: path[i].time,
+                dt: dt,
+                vx: (path[i].x - path[i - 1].x) / dt * 1000,
+                vy: (path[i].y - path[i - 1].y) / dt * 1000
+            });
+        }
+        
+        const stepMs = segments.length > 0 ? segments[0].dt : 0;
+        const contactWindowMs = stepMs * PATH_CONTACT_WINDOW;
+        const nearContact = time => contacts.some(contact =>
+            time >= contact.time - contactWindowMs && time <= contact.endTime + contactWindowMs
+        );
+        
+        let peakAcceleration = 0;
+        let peakCurvature = 0;
+        let stalledMs = 0;
+        for (let i = 0; i < segments.length; i++) {
+            const segment = segments[i];
+            if (Math.hypot(segment.vx, segment.vy) < board.pathQuality.stallSpeed) stalledMs += segment.dt;
+            
+            if (i === 0 || nearContact(segment.time)) continue;
+            const previous = segments[i - 1];
+            const dtSeconds = (previous.dt + segment.dt) / 2000;
+            
+            const acceleration = Math.hypot(segment.vx - previous.vx, segment.vy - previous.vy) / dtSeconds;
+            peakAcceleration = Math.max(peakAcceleration, acceleration);
+            
+            let turn = Math.abs(Math.atan2(segment.vy, segment.vx) - Math.atan2(previous.vy, previous.vx));
+            if (turn > Math.PI) turn = 2 * Math.PI - turn;
+            peakCurvature = Math.max(peakCurvature, turn / dtSeconds);
+        }
+        
+        const finalPoint = path[path.length - 1];
+        const bucket = board.buckets[targetBucketIndex - 1];
+        const bucketLeft = bucket.x - bucket.width/2;
+        const bucketRight = bucket.x + bucket.width/2;
+        const finalSegment = segments[segments.length - 1] || { vx: 0 };
+        
+        // A path that ends well off-centre but is still heading away from the bucket looks steered
+        let finalDirectionOk = true;
+        if (path.length >= 3) {
+            const secondLastPoint = path[path.length - 2];
+            const neededDx = bucket.x - secondLastPoint.x;
+            const finalDx = finalPoint.x - secondLastPoint.x;
+            if (Math.abs(neededDx) > bucket.width * 0.3 && Math.sign(finalDx) !== 0 && Math.sign(finalDx) !== Math.sign(neededDx)) {
+                finalDirectionOk = false;
+            }
+        }
+        
+        return {
+            pegContacts: contacts.filter(contact => contact.type === 'peg').length,
+            wallHits: contacts.filter(contact => contact.type === 'wall').length,
+            peakAcceleration: peakAcceleration,
+            peakCurvature: peakCurvature,
+            stalledMs: stalledMs,
+            finalVelocityX: finalSegment.vx,
+            landingMargin: Math.min(finalPoint.x - bucketLeft, bucketRight - finalPoint.x) / bucket.width,
+            finalDirectionOk: finalDirectionOk,
+            edgeBucket: targetBucketIndex === 1 || targetBucketIndex === board.buckets.length,
+            durationMs: finalPoint.time,
+            contacts: contacts
+        };
+    }
+    
+    // How hard a ball at (x, y) moving at (velocityX, velocityY) px/s strikes a peg - the speed into
+    // the peg along the contact normal (the unit vector from the peg centre to the ball)
+    function measurePegImpact(peg, x, y, velocityX, velocityY) {
+        const distance = Math.hypot(x - peg.x, y - peg.y) || 1;
+        const normal = { x: (x - peg.x) / distance, y: (y - peg.y) / distance };
+        return {
+            speed: Math.max(0, -(velocityX * normal.x + velocityY * normal.y)),
+            normal: normal
+        };
+    }
+    
+    // How each peg biases guided paths aimed at a target bucket - one { direction, strength } per peg,
+    // direction -1 (left), 0 or 1 (right) and strength 0-1 of board.pathZoneMaxBias. A peg takes the first
+    // zone covering its row; 'target' zones point towards the target bucket and fade out over the last
+    // bucket width, so pegs straight above the bucket don't push the ball past it.
+    function computePegInfluence(board, targetBucketIndex) {
+        const target = board.buckets[targetBucketIndex - 1];
+        const bucketWidth = board.width / board.buckets.length;
+        
+        return board.pegs.map(peg => {
+            const zone = board.pathZones.find(candidate => peg.row >= candidate.startRow && peg.row <= candidate.endRow);
+            if (!zone || !target || zone.direction === 0) return { direction: 0, strength: 0 };
+            if (zone.direction !== 'target') return { direction: zone.direction, strength: zone.strength };
+            
+            const offset = target.x - peg.x;
+            return {
+                direction: Math.sign(offset),
+                strength: zone.strength * Math.min(1, Math.abs(offset) / bucketWidth)
+            };
+        });
+    }
+    
+    // Turn angle towards another angle by at most maxTurn radians (the short way round)
+    function turnTowards(angle, towards, maxTurn) {
+        const difference = Math.atan2(Math.sin(towards - angle), Math.cos(towards - angle));
+        return angle + Math.max(-maxTurn, Math.min(maxTurn, difference));
+    }
+    
+    // Follow contacts step by step - each peg or wall contact is recorded once, when it starts,
+    // and its endTime is extended for as long as it lasts. Call endStep() after every step.
+    // Peg contacts keep the impact (speed and normal, see measurePegImpact) of their first step.
+    function createContactTracker() {
+        const contacts = [];
+        let activePegs = new Map();
+        let stepPegs = new Map();
+        let wallContact = null;
+        let wallTouched = false;
+        
+        return {
+            contacts: contacts,
+            touchPeg(time, pegIndex, peg, impact) {
+                let contact = stepPegs.get(pegIndex) || activePegs.get(pegIndex);
+                if (!contact) {
+                    contact = {
+                        time: time, endTime: time, type: 'peg', pegIndex: pegIndex, x: peg.x, y: peg.y,
+                        impactSpeed: impact.speed, // px/s
+                        normal: impact.normal
+                    };
+                    contacts.push(contact);
+                }
+                contact.endTime = time;
+                stepPegs.set(pegIndex, contact);
+            },
+            touchWall(time, side, x, y) {
+                if (!wallContact || wallContact.side !== side) {
+                    wallContact = { time: time, endTime: time, type: 'wall', side: side, x: x, y: y };
+                    contacts.push(wallContact);
+                }
+                wallContact.endTime = time;
+                wallTouched = true;
+            },
+            endStep() {
+                activePegs = stepPegs;
+                stepPegs = new Map();
+                if (!wallTouched) wallContact = null;
+                wallTouched = false;
+            }
+        };
+    }
+    
+    // Paths that arrive without a contact record (library files and replays stored before contacts were
+    // kept) - treat every step the ball spends at collision distance from a peg, or against a wall, as a contact
+    function detectPathContacts(path, board) {
+        const tracker = createContactTracker();
+        
+        path.forEach((point, index) => {
+            // Approach velocity over the step that arrived here
+            const previous = path[Math.max(0, index - 1)];
+            const dt = point.time - previous.time;
+            const velocityX = dt > 0 ? (point.x - previous.x) / dt * 1000 : (point.vx || 0);
+            const velocityY = dt > 0 ? (point.y - previous.y) / dt * 1000 : (point.vy || 0);
+            
+            board.pegs.forEach((peg, pegIndex) => {
+                const contactDistance = board.pegClearance * 1.1;
+                if (Math.hypot(point.x - peg.x, point.y - peg.y) < contactDistance) {
+                    tracker.touchPeg(point.time, pegIndex, peg, measurePegImpact(peg, point.x, point.y, velocityX, velocityY));
+                }
+            });
+            
+            if (point.x <= board.ballRadius + 0.5) {
+                tracker.touchWall(point.time, 'left', point.x, point.y);
+            } else if (point.x >= board.width - board.ballRadius - 0.5) {
+                tracker.touchWall(point.time, 'right', point.x, point.y);
+            }
+            tracker.endStep();
+        });
+        return tracker.contacts;
+    }
+    
+    // Apply a path quality policy - returns { accepted, reasons, score }. The score (0-100) is the
+    // path's average headroom under the policy's limits, so 100 is a perfectly unremarkable path.
+    function evaluatePathQuality(metrics, policy) {
+        const reasons = [];
+        if (metrics.landingMargin < policy.minEdgeMargin) reasons.push('too close to bucket wall');
+        if (Math.abs(metrics.finalVelocityX) > policy.maxFinalVelocityX) reasons.push('landing too fast sideways');
+        if (metrics.peakAcceleration > policy.maxPeakAcceleration) reasons.push('mid-air acceleration');
+        if (metrics.peakCurvature > policy.maxCurvature) reasons.push('mid-air curve');
+        if (metrics.stalledMs > policy.maxStalledMs) reasons.push('stalled');
+        if (metrics.pegContacts < policy.minPegContacts) reasons.push('too few peg contacts');
+        if (metrics.wallHits > policy.maxWallHits) reasons.push('too many wall hits');
+        if (metrics.edgeBucket && metrics.wallHits > 0 && metrics.pegContacts < policy.edgeBucketMinPegContacts) {
+            reasons.push('slid down the wall');
+        }
+        if (policy.rejectWrongFinalDirection && !metrics.finalDirectionOk) reasons.push('heading away from bucket');
+        
+        const headroom = (value, limit) => Math.max(0, Math.min(1, 1 - value / limit));
+        const terms = [
+            Math.max(0, Math.min(1, metrics.landingMargin / 0.5)),
+            headroom(Math.abs(metrics.finalVelocityX), policy.maxFinalVelocityX),
+            headroom(metrics.peakAcceleration, policy.maxPeakAcceleration),
+            headroom(metrics.peakCurvature, policy.maxCurvature),
+            headroom(metrics.stalledMs, policy.maxStalledMs),
+            headroom(metrics.wallHits, policy.maxWallHits + 1)
+        ];
+        
+        return {
+            accepted: reasons.length === 0,
+            reasons: reasons,
+            score: Math.round(terms.reduce((sum, term) => sum + term, 0) / terms.length * 100)
+        };
+    }
+    
+    // Measure a path and judge it against the board's policy (or the one given) in one go -
+    // returns the metrics plus { accepted, reasons, score }
+    function assessPathQuality(path, board, targetBucketIndex, contacts, policy = board.pathQuality) {
+        const metrics = measurePath(path, board, targetBucketIndex, contacts);
+        return Object.assign(metrics, evaluatePathQuality(metrics, policy));
+    }
+    
+    // Generate a plausible animation path with enhanced accuracy for regulated gambling.
+    // Returns { path, duration, retries, quality, contacts } - retries counts the internal re-simulations
+    // used; contacts are the peg and wall contact events (see createContactTracker) in time order.
+    // path (and quality and contacts) are null when every re-simulation was rejected.
+    // onReject(path, reason), when given, is told about every candidate path the quality policy turns down
+    // (debug overlays) - it never changes which path is picked.
+    function generateAnimationPath(startX, startY, targetBucketIndex, board, random, onReject = null) {
+        var path = []; 
+        let duration = 0;
+
+        const targetBucket = board.buckets[targetBucketIndex - 1];
+        if (!targetBucket) {
+            log.error("Cannot generate path: Target bucket invalid", targetBucketIndex);
+            return { path: [{ x: startX, y: startY, time: 0 }, { x: startX, y: board.height + 50, time: 1000 }], duration: 1000, retries: 0 }; // Fallback path
+        }
+        const targetX = targetBucket.x;
+        const targetY = targetBucket.y; 
+        
+        // Where the target sits across the board: side is -1 left of centre, 0 centre, 1 right;
+        // bucketEdgeness runs from 0 for the centre bucket to 1 for the outermost ones
+        const centreBucket = (board.buckets.length + 1) / 2;
+        const side = Math.sign(targetBucketIndex - centreBucket);
+        const bucketEdgeness = Math.abs(targetBucketIndex - centreBucket) / (centreBucket - 1);
+        
+        // Zone guidance only ever acts on peg bounces - there is no mid-air pull
+        const pegInfluence = computePegInfluence(board, targetBucketIndex);
+
+        // Increase duration range for more natural-looking paths
+        const totalDurationMs = 2500 + random() * 1000; // Randomize duration (2.5-3.5s)
+        
+        // Increase steps for better path resolution
+        const steps = 150; // More steps for smoother, more natural animation
+        const timeStep = totalDurationMs / steps;
+
+        // Retry logic - maximize retries for best success rate
+        let isValidPath = false;
+        let retries = 0;
+        const maxRetries = 100; // Doubled retry count for much higher success rate
+
+        // Initialize simulation state variables outside the loop 
+        // (they will be reset inside if a retry is needed)
+        let currentX, currentY, currentVx, currentVy, lastHitTime;
+        let contactTracker, quality;
+
+        do {
+            // Reset state for each attempt (including the first)
+            path = [{ x: startX, y: startY, time: 0 }];
+            currentX = startX;
+            currentY = startY;
+            
+            // Enhanced initial velocity setup for better path finding from center
+            // Calculate distance from starting position to target bucket
+            const distanceToTarget = targetBucket.x - startX;
+            const bucketWidth = board.width / board.buckets.length;
+            
+            // Apply variable initial bias based on target bucket
+            // Edge buckets need stronger bias, middle buckets need less - scaled by how far the
+            // bucket is from the centre (1.0 at the edges down to 0.4 in the middle, for any bucket count)
+            const edgeFactor = 0.4 + 0.6 * bucketEdgeness;
+            
+            // Calculate initial velocity that makes sense for this path attempt
+            // Scale direction based on distance and bucket position
+            const baseVelocity = Math.sign(distanceToTarget) * 
+                                Math.min(Math.abs(distanceToTarget) / 100, 1.5) * 
+                                edgeFactor;
+            
+            // Add much more randomness to create greater path variety
+            // Use different path strategy based on attempt number
+            // This creates more diverse paths even to the same bucket
+            const attemptVariation = (retries % 3) * 0.5; // Cycles through 3 different strategies
+            const randomFactor = ((1 - Math.abs(edgeFactor - 0.5)) * 1.5) + attemptVariation;
+            
+            // Add occasional "trick shots" with more extreme initial velocity
+            if (random() < 0.3) { // 30% chance of a trick shot attempt
+                currentVx = baseVelocity * (1 + random()) + (random() - 0.5) * 2.5;
+            } else {
+                // Normal randomized velocity
+                currentVx = baseVelocity + (random() - 0.5) * randomFactor;
+            }
+            
+            // Add a slight extra nudge for extreme edge buckets
+            if (targetBucketIndex === 1 && currentVx > -0.2) {
+                // First bucket needs left bias
+                currentVx -= 0.5 + random() * 0.5;
+            } else if (targetBucketIndex === board.buckets.length && currentVx < 0.2) {
+                // Last bucket needs right bias
+                currentVx += 0.5 + random() * 0.5;
+            }
+            
+            // Much more varied vertical velocity for unpredictable arcs
+            // Create a wider range of drop speeds and arcs
+            const verticalVariation = random() < 0.3 ? 0.8 : 0.4; // Occasional high-arc shots
+            const baseVertical = 0.8 + edgeFactor * 0.4;
+            currentVy = baseVertical + random() * verticalVariation;
+            
+            // Occasionally try a high bounce fast fall
+            if (random() < 0.15) { // 15% chance
+                currentVy = baseVertical + 0.5 + random() * 0.8;
+            }
+            lastHitTime = -Infinity; // Reset lastHitTime
+            contactTracker = createContactTracker(); // Peg and wall contacts, for the quality check
+
+            // --- Path Generation Simulation ---
+            for (let i = 1; i <= steps; i++) {
+                const time = i * timeStep;
+                
+                // 1. Apply simplified physics forces
+                currentVy += board.gravity * (timeStep / 16); // Adjust gravity effect based on time step
+
+                // CRITICAL FIX: Remove unnatural pull toward target that causes mid-air curve
+                // We use initial bias instead, which is physically plausible
+                const dxToTarget = targetX - currentX;
+                const verticalProgress = Math.min(1, currentY / targetY); // How far down (0 to 1+)
+                
+                // Drastically reduce pull strength to avoid unnatural mid-air movement
+                // This is critical for regulated gambling - paths must look 100% natural
+                let pullStrength = 0.0; // Remove all direct steering
+
+                // Restore previous logic: Dampen pull shortly after hitting a peg
+                const timeSinceHit = time - lastHitTime;
+                if (timeSinceHit < 180) { // Dampen for 180ms after hit
+                    pullStrength *= 0.1; // Reduce pull to 10% immediately after hit
+                }
+
+                // Restore previous logic: Persistently reduce pull *after* the last recorded hit time
+                if (lastHitTime > -Infinity && time > lastHitTime) {
+                     pullStrength *= 0.20; // Use the 0.20 multiplier from before
+                }
+
+                // Apply calculated horizontal pull
+                currentVx += dxToTarget * pullStrength * (timeStep / 16.0);
+
+                // 3. Simulate visual peg interactions (deflections)
+                board.pegs.forEach((peg, pegIndex) => {
+                    const pDx = currentX - peg.x;
+                    const pDy = currentY - peg.y;
+                    const dist = Math.sqrt(pDx*pDx + pDy*pDy);
+                    // Ensure center of ball path is away from peg center (see pegClearance in createBoard)
+                    const minDist = board.pegClearance;
+
+                    if (dist < minDist) {
+                        // How hard the ball arrived, before it is moved (velocities are px per 16ms)
+                        const impact = measurePegImpact(peg, currentX, currentY, currentVx * 62.5, currentVy * 62.5);
+                        
+                        // Calculate overlap and push position out immediately
+                        const overlap = minDist - dist;
+                        const angle = Math.atan2(pDy, pDx);
+                        // Push slightly more than pure overlap
+                        currentX += Math.cos(angle) * overlap * 1.1; 
+                        currentY += Math.sin(angle) * overlap * 1.1;
+
+                        // Record hit time
+                        lastHitTime = time; 
+                        contactTracker.touchPeg(time, pegIndex, peg, impact);
+
+                        // Calculate deflection with MUCH more randomness to create varied paths
+                        let deflectAngle = angle; // Base angle away from peg center
+                        
+                        // Add significant random angle variation (+/- ~30 degrees)
+                        deflectAngle += (random() - 0.5) * 1.0; 
+                        
+                        // Occasionally add extreme angle changes for dramatic bounces
+                        if (random() < 0.2) { // 20% chance
+                            deflectAngle += (random() - 0.5) * 1.5;
+                        }
+                        
+                        // Lean the bounce the way this peg's zone points (see computePegInfluence)
+                        const influence = pegInfluence[pegIndex];
+                        if (influence.strength > 0) {
+                            const towards = influence.direction > 0 ? 0 : Math.PI;
+                            deflectAngle = turnTowards(deflectAngle, towards, influence.strength * board.pathZoneMaxBias);
+                        }
+                        
+                        // More variable deflection strength
+                        const deflectStrength = 0.5 + random() * 1.2;
+                        
+                        // Apply deflection with more variation between horizontal and vertical
+                        const horizontalFactor = 0.8 + random() * 0.8; // 0.8-1.6
+                        const verticalFactor = 0.6 + random() * 0.8;   // 0.6-1.4
+                        
+                        // Apply the deflection forces
+                        currentVx += Math.cos(deflectAngle) * deflectStrength * horizontalFactor;
+                        currentVy += Math.sin(deflectAngle) * deflectStrength * verticalFactor;
+                        
+                        // Ensure minimum downward velocity after hit
+                        currentVy = Math.max(0.8, currentVy); // Increase min bounce speed slightly
+                    }
+                });
+
+                // 4. Dampen velocity slightly (air resistance simulation)
+                currentVx *= 0.985;
+                currentVy *= 0.99;
+                // Clamp max velocity to prevent extreme speeds
+                currentVy = Math.min(currentVy, 15);
+
+                // 5. Update position
+                currentX += currentVx * (timeStep / 16.0);
+                currentY += currentVy * (timeStep / 16.0);
+
+                // 6. Boundary checks (walls)
+                // Use board.ballRadius instead of ball.radius which doesn't exist yet
+                const ballRadius = board.ballRadius;
+                let wallSide = null;
+                if (currentX - ballRadius < 0) {
+                    currentX = ballRadius;
+                    currentVx *= -0.6; // Dampen on wall hit
+                    wallSide = 'left';
+                } else if (currentX + ballRadius > board.width) {
+                    currentX = board.width - ballRadius;
+                    currentVx *= -0.6;
+                    wallSide = 'right';
+                }
+                if (wallSide) contactTracker.touchWall(time, wallSide, currentX, currentY);
+                // Prevent going above the top
+                if (currentY < startY) currentY = startY;
+
+                // --- Check if Target Y Reached --- 
+                if (currentY >= targetY) {
+                    // Ball reached or passed the bucket top. Interpolate exact landing point.
+                    const prevPoint = path[path.length - 1];
+                    const dyTotal = currentY - prevPoint.y;
+                    const dyNeeded = targetY - prevPoint.y;
+
+                    // Calculate interpolation factor (avoid division by zero)
+                    const t = (dyTotal === 0) ? 1 : Math.max(0, Math.min(1, dyNeeded / dyTotal));
+
+                    // Calculate interpolated X position for natural physics
+                    // (landing position and speed are judged by the path quality policy below)
+                    const finalX = prevPoint.x + (currentX - prevPoint.x) * t;
+                    const finalTime = prevPoint.time + (time - prevPoint.time) * t;
+                    
+                    // Add the final point (will only be used if this path is valid)
+                    path.push({ x: finalX, y: targetY, time: finalTime });
+                    
+                    // Set the exact animation duration
+                    duration = finalTime; 
+                    // Exit simulation loop
+                    break; 
+                }
+
+                // 7. Final Validation: Ensure point is not inside any peg radius before saving
+                let totalPushX = 0;
+                let totalPushY = 0;
+                board.pegs.forEach((peg, pegIndex) => {
+                    const pDx = currentX - peg.x;
+                    const pDy = currentY - peg.y;
+                    const dist = Math.sqrt(pDx*pDx + pDy*pDy);
+                    const minDist = board.pegClearance;
+                    if (dist < minDist) {
+                        const overlap = minDist - dist;
+                        const angle = Math.atan2(pDy, pDx);
+                        totalPushX += Math.cos(angle) * overlap * 1.05; 
+                        totalPushY += Math.sin(angle) * overlap * 1.05;
+                        
+                        // Being pushed clear of a peg is a contact too
+                        contactTracker.touchPeg(time, pegIndex, peg, measurePegImpact(peg, currentX, currentY, currentVx * 62.5, currentVy * 62.5));
+                    }
+                });
+                contactTracker.endStep();
+                
+                // Apply the total calculated push after checking all pegs
+                let tempX = currentX + totalPushX;
+                let tempY = currentY + totalPushY;
+                currentX = tempX;
+                currentY = tempY;
+
+                // 8. Add keyframe
+                if (i < steps) { // Avoid duplicating last point if loop finished early
+                    path.push({ x: currentX, y: currentY, time }); // Add normal step point
+                } else { 
+                    // If loop finishes normally (all steps), force last point to target
+                    // This case should be rare now due to the early exit logic
+                    if (path[path.length - 1].y < targetY) { 
+                         path.push({ x: targetX, y: targetY, time: totalDurationMs });
+                    } 
+                    duration = totalDurationMs; // Set duration if loop finished normally
+                }
+            }
+            // --- End Path Generation --- 
+            
+            // --- Path Quality Check ---
+            // Measure the finished path and let the configured policy accept or reject it
+            quality = assessPathQuality(path, board, targetBucketIndex, contactTracker.contacts);
+            isValidPath = quality.accepted;
+
+            // Handle retry based on validation result
+            if (!isValidPath) {
+                retries++;
+                log.log(`Path rejected for bucket ${targetBucketIndex} (${quality.reasons.join(', ')}). Retry ${retries}/${maxRetries}`);
+                if (onReject) onReject(path, quality.reasons.join(', '));
+                
+                // Add more randomness in the retries to ensure we find a natural path
+                currentVx = (random() - 0.5) * 2.5; // More horizontal velocity variation
+                currentVx -= side * 0.5; // Stronger nudge towards the centre for buckets off to either side
+            }
+        } while (!isValidPath && retries < maxRetries);
+        const pathRetries = retries;
+
+        // Every re-simulation was rejected - report the failure and let the caller pick another start
+        // (findVerifiedPath moves on to its next attempt)
+        if (!isValidPath) {
+            log.warn(`Could not generate a valid path for bucket ${targetBucketIndex} after ${maxRetries} retries.`);
+            return { path: null, duration: 0, retries: pathRetries, quality: null, contacts: null };
+        }
+
+        // log.log(`Generated path with ${path.length} points, duration ${duration.toFixed(0)}ms for bucket ${targetBucketIndex}`); // Comment out logging
+        return {
+            path: path,
+            duration: duration,
+            retries: pathRetries,
+            quality: quality, // Metrics and score of the accepted path
+            contacts: quality.contacts // Contact events, in time order
+        };
+    }
+    
+    // Search for a natural path that provably ends in the target bucket, falling back to a direct arc.
+    // Consumes only `random` (the round's outcome stream), so the same seed and target always give the same result.
+    // onReject(path, reason) hears about every rejected candidate, as in generateAnimationPath.
+    function findVerifiedPath(roundTarget, board, random, onReject = null) {
+        // Try multiple starting positions until we find one that works
+        // Since we're now always starting near center, we might need more attempts
+        let validPathFound = false;
+        let attempts = 0;
+        let totalPathRetries = 0; // Internal generateAnimationPath retries across all attempts
+        const maxAttempts = 100; // Increased to accommodate center-only starting positions
+    
+        // Store the final verified values
+        let verifiedStartX = null;
+        let verifiedPath = null;
+        let verifiedQuality = null;
+        let verifiedContacts = null;
+    
+        while (!validPathFound && attempts < maxAttempts) {
+            attempts++;
+        
+            // Calculate a starting position
+            const testStartX = calculateInitialBallPosition(roundTarget, board, random);
+            const testStartY = board.height * 0.05;
+        
+            // Generate test path
+            const generated = generateAnimationPath(testStartX, testStartY, roundTarget, board, random, onReject);
+            const testPath = generated.path;
+            totalPathRetries += generated.retries;
+        
+            // Verify end position (a failed generation has no path - try the next start)
+            if (testPath) {
+                const finalPoint = testPath[testPath.length - 1];
+                const finalX = finalPoint.x;
+            
+                // Check which bucket this lands in
+                const landedBucket = findLandingBucket(finalX, board);
+            
+                // If landed in target bucket, we have a valid path
+                if (landedBucket === roundTarget) {
+                    validPathFound = true;
+                    verifiedStartX = testStartX;
+                    verifiedPath = testPath;
+                    verifiedQuality = generated.quality;
+                    verifiedContacts = generated.contacts;
+                    log.log(`Found valid natural path after ${attempts} attempts!`);
+                    break;
+                }
+                if (onReject) onReject(testPath, `landed in bucket ${landedBucket}`);
+            }
+        }
+    
+        // If we couldn't find a valid path, create a direct one to target
+        if (!validPathFound) {
+            log.warn(`Could not find naturally valid path after ${attempts} attempts. Using direct approach.`);
+        
+            // Use target bucket position directly
+            const targetBucket = board.buckets[roundTarget - 1];
+            verifiedStartX = targetBucket.x + (random() - 0.5) * 20; // Small random offset
+        
+            // Create simple arc to target
+            const pathDuration = 2500;
+            verifiedPath = [];
+        
+            // Create a natural-looking arc with 50 points
+            for (let i = 0; i <= 50; i++) {
+                const t = i / 50;
+                const timePoint = t * pathDuration;
+            
+                // Create a quadratic bezier curve
+                const startPoint = { x: verifiedStartX, y: board.height * 0.05 };
+                const endPoint = { 
+                    x: targetBucket.x + (random() - 0.5) * 10, // Small random target variation 
+                    y: targetBucket.y
+                };
+            
+                // Control point for the curve - above the path for a natural arc
+                const controlPoint = {
+                    x: (startPoint.x + endPoint.x) / 2, // Halfway between
+                    y: Math.min(startPoint.y, endPoint.y) - board.height * 0.2 // Above the path
+                };
+            
+                // Calculate point on quadratic bezier curve
+                const xt = Math.pow(1-t, 2) * startPoint.x + 
+                          2 * (1-t) * t * controlPoint.x + 
+                          Math.pow(t, 2) * endPoint.x;
+                      
+                const yt = Math.pow(1-t, 2) * startPoint.y + 
+                          2 * (1-t) * t * controlPoint.y + 
+                          Math.pow(t, 2) * endPoint.y;
+                      
+                // Add point to path
+                verifiedPath.push({
+                    x: xt,
+                    y: yt,
+                    time: timePoint
+                });
+            }
+        }
+    
+        return {
+            startX: verifiedStartX,
+            path: addPathVelocities(verifiedPath), // Guided steps are pushed around, so keyframes take their actual motion
+            attempts: attempts,
+            pathRetries: totalPathRetries,
+            usedFallback: !validPathFound,
+            quality: verifiedQuality, // Path quality metrics and score (null for the direct fallback arc)
+            contacts: verifiedContacts || detectPathContacts(verifiedPath, board)
+        };
+    }
+    
+    // Rigid-body physics engine - an honest fixed-timestep simulation with no steering, push-outs or
+    // random kicks: gravity, ball-peg circle collisions and the side walls, bouncing with ballRestitution.
+    // The same start conditions always give the same path, so a round only has to record where it started.
+    function simulatePhysicsDrop(startX, startY, velocityX, velocityY, board) {
+        const physics = board.physics;
+        const dt = 1 / physics.stepRate;
+        const recordEvery = Math.max(1, Math.round(physics.stepRate / 60)); // Keyframes at ~60fps like the guided paths
+        const contactDistance = board.pegRadius + board.ballRadius; // The ball visibly touches the peg
+        const targetY = board.buckets[0].y;
+        const maxSteps = Math.ceil(physics.maxDurationMs / 1000 * physics.stepRate);
+        const contactTracker = createContactTracker();
+        
+        let x = startX;
+        let y = startY;
+        let vx = velocityX;
+        let vy = velocityY;
+        const path = [{ x: x, y: y, time: 0, vx: vx, vy: vy }];
+        
+        for (let step = 1; step <= maxSteps; step++) {
+            const time = step * dt * 1000;
+            const previousX = x;
+            const previousY = y;
+            
+            // Semi-implicit Euler - stable for the bounce-heavy motion of a Plinko ball
+            vy += physics.gravity * dt;
+            x += vx * dt;
+            y += vy * dt;
+            
+            for (let pegIndex = 0; pegIndex < board.pegs.length; pegIndex++) {
+                const peg = board.pegs[pegIndex];
+                const dx = x - peg.x;
+                const dy = y - peg.y;
+                const distSq = dx*dx + dy*dy;
+                if (distSq >= contactDistance * contactDistance || distSq === 0) continue;
+                
+                // Move the ball back to the peg surface, then reflect the velocity about the contact normal
+                const dist = Math.sqrt(distSq);
+                const nx = dx / dist;
+                const ny = dy / dist;
+                x = peg.x + nx * contactDistance;
+                y = peg.y + ny * contactDistance;
+                
+                const normalSpeed = vx * nx + vy * ny;
+                contactTracker.touchPeg(time, pegIndex, peg, { speed: Math.max(0, -normalSpeed), normal: { x: nx, y: ny } });
+                if (normalSpeed < 0) {
+                    const tangentX = vx - normalSpeed * nx;
+                    const tangentY = vy - normalSpeed * ny;
+                    const bounce = -normalSpeed * physics.restitution;
+                    vx = tangentX * (1 - physics.pegFriction) + nx * bounce;
+                    vy = tangentY * (1 - physics.pegFriction) + ny * bounce;
+                }
+            }
+            
+            if (x < board.ballRadius) {
+                x = board.ballRadius;
+                if (vx < 0) vx = -vx * physics.restitution;
+                contactTracker.touchWall(time, 'left', x, y);
+            } else if (x > board.width - board.ballRadius) {
+                x = board.width - board.ballRadius;
+                if (vx > 0) vx = -vx * physics.restitution;
+                contactTracker.touchWall(time, 'right', x, y);
+            }
+            contactTracker.endStep();
+            
+            // Finish exactly on the bucket tops, like every other path
+            if (y >= targetY) {
+                const fraction = (targetY - previousY) / (y - previousY);
+                const finalX = previousX + (x - previousX) * fraction;
+                const finalTime = time - (1 - fraction) * dt * 1000;
+                path.push({ x: finalX, y: targetY, time: finalTime, vx: vx, vy: vy });
+                return {
+                    path: path,
+                    contacts: contactTracker.contacts,
+                    landedBucket: findLandingBucket(finalX, board),
+                    duration: finalTime
+                };
+            }
+            
+            if (step % recordEvery === 0) path.push({ x: x, y: y, time: time, vx: vx, vy: vy }); // Exact velocities for playback
+        }
+        
+        // Still on the board after maxDurationMs - wedged between a peg and a wall
+        return { path: path, contacts: contactTracker.contacts, landedBucket: null, duration: null };
+    }
+    
+    // Inverse search for the physics engine - draw start X and launch velocity from `random` until the
+    // unmodified simulation lands in the target bucket and passes the path quality policy. Returns the
+    // same shape as findVerifiedPath (plus the start velocity), falling back to it if nothing is found.
+    // onReject(path, reason) hears about every rejected start, as in findVerifiedPath.
+    function findPhysicsPath(roundTarget, board, random, onReject = null) {
+        const physics = board.physics;
+        const safetyMargin = board.ballRadius * 3;
+        const startY = board.height * 0.05;
+        let attempts = 0;
+        
+        while (attempts < physics.searchAttempts) {
+            attempts++;
+            
+            const startX = safetyMargin + random() * (board.width - safetyMargin * 2);
+            const launchAngle = random() * Math.PI; // Anywhere from straight right to straight left, never upwards
+            const launchSpeed = random() * physics.launchSpeed;
+            const velocityX = Math.cos(launchAngle) * launchSpeed;
+            const velocityY = Math.sin(launchAngle) * launchSpeed;
+            
+            const drop = simulatePhysicsDrop(startX, startY, velocityX, velocityY, board);
+            if (drop.landedBucket !== roundTarget) {
+                if (onReject) onReject(drop.path, drop.landedBucket ? `landed in bucket ${drop.landedBucket}` : 'never landed');
+                continue;
+            }
+            
+            const quality = assessPathQuality(drop.path, board, roundTarget, drop.contacts, physics.pathQuality);
+            if (!quality.accepted) {
+                if (onReject) onReject(drop.path, quality.reasons.join(', '));
+                continue;
+            }
+            
+            log.log(`Found physics path after ${attempts} attempts!`);
+            return {
+                startX: startX,
+                startVelocity: { x: velocityX, y: velocityY },
+                path: drop.path,
+                attempts: attempts,
+                pathRetries: 0,
+                usedFallback: false,
+                quality: quality,
+                contacts: drop.contacts
+            };
+        }
+        
+        log.warn(`No physics start conditions reach bucket ${roundTarget} after ${attempts} attempts. Using a guided path.`);
+        const guided = findVerifiedPath(roundTarget, board, random, onReject);
+        guided.attempts += attempts;
+        guided.usedFallback = true;
+        guided.startVelocity = null;
+        return guided;
+    }
+    
+    // Keyframe velocity (px/s) estimated from the neighbouring keyframes - a central difference,
+    // one-sided at the ends - for paths whose generator did not record one
+    function estimatePointVelocity(path, index) {
+        const before = path[Math.max(0, index - 1)];
+        const after = path[Math.min(path.length - 1, index + 1)];
+        const dt = after.time - before.time;
+        if (dt <= 0) return { vx: 0, vy: 0 };
+        return {
+            vx: (after.x - before.x) / dt * 1000,
+            vy: (after.y - before.y) / dt * 1000
+        };
+    }
+    
+    // Give every keyframe a velocity (vx, vy in px/s) - keyframes that already carry one keep it
+    function addPathVelocities(path) {
+        const velocities = path.map((point, index) =>
+            typeof point.vx === 'number' && typeof point.vy === 'number' ? point : estimatePointVelocity(path, index)
+        );
+        path.forEach((point, index) => {
+            point.vx = velocities[index].vx;
+            point.vy = velocities[index].vy;
+        });
+        return path;
+    }
+    
+    // Smooth playback of a keyframed path: cubic Hermite interpolation between keyframes using their
+    // velocities, so the ball follows the simulated motion at any display refresh rate instead of
+    // cornering at every keyframe. The current segment is cached - playing forward is O(1) per frame
+    // and seeking backwards (replay scrubbing) falls back to a binary search.
+    function createPathSampler(path) {
+        let segment = 0;
+        const velocity = index =>
+            typeof path[index].vx === 'number' ? path[index] : estimatePointVelocity(path, index);
+        
+        function seek(time) {
+            if (time < path[segment].time) {
+                let low = 0;
+                let high = segment;
+                while (low < high) {
+                    const middle = (low + high + 1) >> 1;
+                    if (path[middle].time <= time) low = middle; else high = middle - 1;
+                }
+                segment = low;
+            }
+            while (segment < path.length - 2 && time >= path[segment + 1].time) segment++;
+        }
+        
+        return {
+            path: path,
+            sample(time) {
+                if (path.length === 1 || time <= path[0].time) {
+                    const first = velocity(0);
+                    return { x: path[0].x, y: path[0].y, vx: first.vx, vy: first.vy };
+                }
+                seek(time);
+                
+                const start = path[segment];
+                const end = path[segment + 1];
+                const duration = end.time - start.time;
+                if (duration <= 0 || time >= end.time) {
+                    const last = velocity(segment + 1);
+                    return { x: end.x, y: end.y, vx: last.vx, vy: last.vy };
+                }
+                
+                const startVelocity = velocity(segment);
+                const endVelocity = velocity(segment + 1);
+                const seconds = duration / 1000; // Velocities are per second, keyframe times in ms
+                const t = (time - start.time) / duration;
+                const t2 = t * t;
+                const t3 = t2 * t;
+                
+                // Hermite basis functions and their derivatives
+                const h00 = 2*t3 - 3*t2 + 1;
+                const h10 = t3 - 2*t2 + t;
+                const h01 = -2*t3 + 3*t2;
+                const h11 = t3 - t2;
+                const d00 = (6*t2 - 6*t) / seconds;
+                const d10 = 3*t2 - 4*t + 1;
+                const d01 = (-6*t2 + 6*t) / seconds;
+                const d11 = 3*t2 - 2*t;
+                
+                return {
+                    x: h00*start.x + h10*seconds*startVelocity.vx + h01*end.x + h11*seconds*endVelocity.vx,
+                    y: h00*start.y + h10*seconds*startVelocity.vy + h01*end.y + h11*seconds*endVelocity.vy,
+                    vx: d00*start.x + d10*startVelocity.vx + d01*end.x + d11*endVelocity.vx,
+                    vy: d00*start.y + d10*startVelocity.vy + d01*end.y + d11*endVelocity.vy
+                };
+            }
+        };
+    }
+
+    // Closest two balls come (centre to centre, px) when path A starts delayA ms and path B delayB ms
+    // into the round. A ball that has landed rests on its final keyframe for holdMs before it is
+    // removed, so it still counts against a ball arriving in the same bucket. Infinity if the two
+    // balls are never on the board together.
+    function measurePathSeparation(pathA, delayA, pathB, delayB, holdMs = 0, stepMs = 1000 / 60) {
+        const endA = delayA + pathA[pathA.length - 1].time + holdMs;
+        const endB = delayB + pathB[pathB.length - 1].time + holdMs;
+        const from = Math.max(delayA, delayB);
+        const to = Math.min(endA, endB);
+        if (from > to) return Infinity;
+
+        const samplerA = createPathSampler(pathA);
+        const samplerB = createPathSampler(pathB);
+        let closest = Infinity;
+        for (let time = from; time <= to; time += stepMs) {
+            const a = samplerA.sample(time - delayA);
+            const b = samplerB.sample(time - delayB);
+            closest = Math.min(closest, Math.hypot(a.x - b.x, a.y - b.y));
+        }
+        return closest;
+    }
+
+    // ln Γ(z) for z > 0 (Lanczos approximation, g = 7)
+    function logGamma(z) {
+        const coefficients = [
+            0.99999999999980993, 676.5203681218851, -1259.1392167224028, 771.32342877765313,
+            -176.61503916999185, 12.507343278686905, -0.13857109526572012, 9.9843695780195716e-6,
+            1.5056327351493116e-7
+        ];
+        if (z < 0.5) return Math.log(Math.PI / Math.sin(Math.PI * z)) - logGamma(1 - z);
+        
+        z -= 1;
+        let sum = coefficients[0];
+        for (let i = 1; i < coefficients.length; i++) sum += coefficients[i] / (z + i);
+        const t = z + 7.5;
+        return 0.5 * Math.log(2 * Math.PI) + (z + 0.5) * Math.log(t) - t + Math.log(sum);
+    }
+    
+    // Regularized upper incomplete gamma function Q(a, x) - a power series below x = a + 1,
+    // a continued fraction (modified Lentz) above it
+    function upperIncompleteGamma(a, x) {
+        if (x <= 0) return 1;
+        const prefix = a * Math.log(x) - x - logGamma(a);
+        
+        if (x < a + 1) {
+            let term = 1 / a;
+            let sum = term;
+            for (let n = 1; n < 500 && Math.abs(term) > Math.abs(sum) * 1e-15; n++) {
+                term *= x / (a + n);
+                sum += term;
+            }
+            return Math.max(0, 1 - sum * Math.exp(prefix));
+        }
+        
+        const tiny = 1e-300;
+        let b = x + 1 - a;
+        let c = 1 / tiny;
+        let d = 1 / b;
+        let fraction = d;
+        for (let n = 1; n < 500; n++) {
+            const an = -n * (n - a);
+            b += 2;
+            d = an * d + b;
+            d = Math.abs(d) < tiny ? tiny : d;
+            c = b + an / c;
+            c = Math.abs(c) < tiny ? tiny : c;
+            d = 1 / d;
+            const delta = d * c;
+            fraction *= delta;
+            if (Math.abs(delta - 1) < 1e-15) break;
+        }
+        return Math.min(1, fraction * Math.exp(prefix));
+    }
+    
+    // Pearson's chi-square goodness-of-fit of per-bucket counts against relative weights (outcomeWeights).
+    // Buckets weighted 0 are left out of the test, and any count in one makes pValue 0. minExpected below 5
+    // means the p-value is only approximate; pValue is null until something has been counted.
+    function chiSquareGoodnessOfFit(observed, weights) {
+        const total = observed.reduce((sum, count) => sum + count, 0);
+        const weightTotal = weights.reduce((sum, weight) => sum + Math.max(0, weight), 0);
+        let statistic = 0;
+        let testedBuckets = 0;
+        let minExpected = Infinity;
+        let impossible = false;
+        
+        observed.forEach((count, i) => {
+            const weight = Math.max(0, weights[i] || 0);
+            if (weight === 0) {
+                if (count > 0) impossible = true;
+                return;
+            }
+            const expected = total * weight / weightTotal;
+            testedBuckets++;
+            minExpected = Math.min(minExpected, expected);
+            if (expected > 0) statistic += (count - expected) * (count - expected) / expected;
+        });
+        
+        const degreesOfFreedom = testedBuckets - 1;
+        let pValue = null;
+        if (total > 0 && degreesOfFreedom > 0) {
+            pValue = impossible ? 0 : upperIncompleteGamma(degreesOfFreedom / 2, statistic / 2);
+        }
+        return {
+            total: total,
+            statistic: statistic,
+            degreesOfFreedom: degreesOfFreedom,
+            pValue: pValue,
+            minExpected: testedBuckets > 0 ? minExpected : 0
+        };
+    }
+    
+    // Fingerprint of the normalized board layout - a library only fits the geometry it was built on
+    function computeGeometryHash(board) {
+        const normalize = value => Math.round(value / board.width * 10000);
+        return hashString(JSON.stringify({
+            bucketCount: board.buckets.length,
+            pegRows: board.pegRows,
+            pegs: board.pegs.map(peg => [normalize(peg.x), normalize(peg.y)]),
+            buckets: board.buckets.map(bucket => [normalize(bucket.x), normalize(bucket.y), normalize(bucket.width)])
+        }));
+    }
+    
+    // Library paths are flat [x, y, time, ...] lists with positions in 1/scale of the board width
+    function encodeLibraryPath(path, board, scale) {
+        const encoded = [];
+        path.forEach(point => {
+            encoded.push(
+                Math.round(point.x / board.width * scale),
+                Math.round(point.y / board.width * scale),
+                Math.round(point.time)
+            );
+        });
+        return encoded;
+    }
+    
+    // Mirrored paths are flipped around the board's centre line
+    function decodeLibraryPath(encoded, scale, board, mirrored = false, timeScale = 1) {
+        const path = [];
+        for (let i = 0; i + 2 < encoded.length; i += 3) {
+            const x = encoded[i] / scale * board.width;
+            path.push({
+                x: mirrored ? board.width - x : x,
+                y: encoded[i + 1] / scale * board.width,
+                time: encoded[i + 2] * timeScale
+            });
+        }
+        return addPathVelocities(path); // Only positions are stored
+    }
+    
+    // Recorded contacts travel with stored paths as flat [pegIndex, time, endTime, impactSpeed, normalX,
+    // normalY, ...] lists - walls are pegIndex -1 (left) or -2 (right), speeds are in 1/scale of the
+    // board width per second and normals in thousandths
+    function encodePathContacts(contacts, board, scale) {
+        const encoded = [];
+        contacts.forEach(contact => {
+            const isPeg = contact.type === 'peg';
+            encoded.push(
+                isPeg ? contact.pegIndex : (contact.side === 'left' ? -1 : -2),
+                Math.round(contact.time),
+                Math.round(contact.endTime),
+                isPeg ? Math.round(contact.impactSpeed / board.width * scale) : 0,
+                isPeg ? Math.round(contact.normal.x * 1000) : 0,
+                isPeg ? Math.round(contact.normal.y * 1000) : 0
+            );
+        });
+        return encoded;
+    }
+    
+    // Contacts for a path decoded with the same mirrored and timeScale - mirrored contacts hit the
+    // mirror-image peg (or the other wall) and a stretched path hits more slowly. Wall contacts take
+    // their position from the path. Returns null if a peg is missing from this board.
+    function decodePathContacts(encoded, scale, board, path, mirrored = false, timeScale = 1) {
+        const contacts = [];
+        for (let i = 0; i + 5 < encoded.length; i += 6) {
+            const time = encoded[i + 1] * timeScale;
+            const endTime = encoded[i + 2] * timeScale;
+            
+            if (encoded[i] < 0) {
+                const side = (encoded[i] === -1) !== mirrored ? 'left' : 'right';
+                const point = path.find(pathPoint => pathPoint.time >= time) || path[path.length - 1];
+                contacts.push({ time: time, endTime: endTime, type: 'wall', side: side, x: point.x, y: point.y });
+                continue;
+            }
+            
+            const pegIndex = mirrored ? findMirroredPeg(board, encoded[i]) : encoded[i];
+            const peg = board.pegs[pegIndex];
+            if (!peg) return null;
+            contacts.push({
+                time: time, endTime: endTime, type: 'peg', pegIndex: pegIndex, x: peg.x, y: peg.y,
+                impactSpeed: encoded[i + 3] / scale * board.width / timeScale,
+                normal: { x: (mirrored ? -encoded[i + 4] : encoded[i + 4]) / 1000, y: encoded[i + 5] / 1000 }
+            });
+        }
+        return contacts;
+    }
+    
+    // Index of the peg at the mirror image of another around the board's centre line (-1 if none)
+    function findMirroredPeg(board, pegIndex) {
+        const peg = board.pegs[pegIndex];
+        if (!peg) return -1;
+        return board.pegs.findIndex(other =>
+            Math.abs(other.y - peg.y) < 0.5 && Math.abs(other.x - (board.width - peg.x)) < 0.5
+        );
+    }
+    
+    // Reject paths that only just make it: fallback arcs, points off the board, balls inside a peg,
+    // or a finish within edgeMargin (fraction of the bucket width) of the bucket walls
+    function validateLibraryPath(verified, roundTarget, board, edgeMargin) {
+        if (verified.usedFallback || verified.path.length < 2) return false;
+        
+        const offBoard = verified.path.some(point => point.x < 0 || point.x > board.width || point.y < 0 || point.y > board.height);
+        if (offBoard) return false;
+        
+        const insidePeg = verified.path.some(point => board.pegs.some(peg =>
+            Math.hypot(point.x - peg.x, point.y - peg.y) < peg.radius
+        ));
+        if (insidePeg) return false;
+        
+        const bucket = board.buckets[roundTarget - 1];
+        const margin = bucket.width * edgeMargin;
+        const finalX = verified.path[verified.path.length - 1].x;
+        return finalX >= bucket.x - bucket.width/2 + margin && finalX <= bucket.x + bucket.width/2 - margin;
+    }
+    
+    // Build a path library: pathLibraryPathsPerBucket validated paths for every bucket, simulated on a
+    // pathLibraryReferenceWidth board. Every candidate path is a round seed derived from the builder
+    // seed, so the same seed and config always give the same file. Work is done in steps so callers
+    // can spread it out - call step(candidates) until it returns true, then read builder.library.
+    // Paths come from config.pathEngine, the same engine the game simulates with. Each path's recorded
+    // contacts are kept at the same index of library.contacts (see encodePathContacts).
+    function createPathLibraryBuilder(seed, config = DEFAULT_CONFIG) {
+        const findPath = config.pathEngine === 'physics' ? findPhysicsPath : findVerifiedPath;
+        const pathsPerBucket = config.pathLibraryPathsPerBucket;
+        const scale = config.pathLibraryScale;
+        const board = createBoard(config.pathLibraryReferenceWidth, config);
+        const maxTriesPerBucket = pathsPerBucket * 3;
+        
+        const library = {
+            format: PATH_LIBRARY_FORMAT,
+            version: config.pathLibraryVersion,
+            id: `${formatSeed(seed)}-${pathsPerBucket}`,
+            generatedAt: new Date().toISOString(),
+            generator: {
+                seed: formatSeed(seed),
+                rngAlgorithm: config.rngAlgorithm,
+                engine: config.pathEngine === 'physics' ? 'physics' : 'guided',
+                referenceWidth: board.width,
+                pathsPerBucket: pathsPerBucket,
+                edgeMargin: config.pathLibraryEdgeMargin
+            },
+            board: {
+                aspect: board.height / board.width,
+                bucketCount: board.buckets.length,
+                pegRows: board.pegRows,
+                geometryHash: formatSeed(computeGeometryHash(board))
+            },
+            scale: scale,
+            rejected: {},
+            buckets: {},
+            contacts: {}
+        };
+        
+        let bucketNumber = 1;
+        let tries = 0;
+        let rejected = 0;
+        let built = 0;
+        
+        function step(candidates) {
+            for (let n = 0; n < candidates && bucketNumber <= board.buckets.length; n++) {
+                const paths = library.buckets[bucketNumber] || (library.buckets[bucketNumber] = []);
+                const contacts = library.contacts[bucketNumber] || (library.contacts[bucketNumber] = []);
+                
+                const streams = createRoundStreams(hashString(`${seed >>> 0}:${bucketNumber}:${tries}`), config.rngAlgorithm);
+                const verified = findPath(bucketNumber, board, streams.outcome.random);
+                tries++;
+                
+                if (validateLibraryPath(verified, bucketNumber, board, config.pathLibraryEdgeMargin)) {
+                    paths.push(encodeLibraryPath(verified.path, board, scale));
+                    contacts.push(encodePathContacts(verified.contacts, board, scale));
+                    built++;
+                } else {
+                    rejected++;
+                }
+                
+                if (paths.length >= pathsPerBucket || tries >= maxTriesPerBucket) {
+                    if (paths.length < pathsPerBucket) {
+                        log.warn(`Path library: only ${paths.length}/${pathsPerBucket} paths for bucket ${bucketNumber}`);
+                    }
+                    library.rejected[bucketNumber] = rejected;
+                    bucketNumber++;
+                    tries = 0;
+                    rejected = 0;
+                }
+            }
+            return bucketNumber > board.buckets.length;
+        }
+        
+        return {
+            library: library,
+            total: pathsPerBucket * board.buckets.length,
+            built: () => built,
+            step: step
+        };
+    }
+    
+    // Check a parsed library file against the board it will drive - throws with the reason if unusable
+    function checkPathLibrary(library, config = DEFAULT_CONFIG) {
+        if (!library || library.format !== PATH_LIBRARY_FORMAT) {
+            throw new Error('not a path library file');
+        }
+        if (library.version !== config.pathLibraryVersion) {
+            throw new Error(`unsupported library version ${library.version} (expected ${config.pathLibraryVersion})`);
+        }
+        
+        const referenceBoard = createBoard(library.generator.referenceWidth, config);
+        const geometryHash = formatSeed(computeGeometryHash(referenceBoard));
+        if (library.board.geometryHash !== geometryHash) {
+            throw new Error(`built for a different board (geometry ${library.board.geometryHash}, expected ${geometryHash})`);
+        }
+        
+        for (let bucketNumber = 1; bucketNumber <= config.bucketCount; bucketNumber++) {
+            const paths = library.buckets[bucketNumber];
+            if (!Array.isArray(paths) || paths.length === 0) {
+                throw new Error(`no paths for bucket ${bucketNumber}`);
+            }
+            // Libraries built before contacts were recorded have none - the game infers them from the paths
+            if (library.contacts && !(Array.isArray(library.contacts[bucketNumber]) && library.contacts[bucketNumber].length === paths.length)) {
+                throw new Error(`contacts do not match the paths of bucket ${bucketNumber}`);
+            }
+        }
+        return library;
+    }
+    
+    return {
+        DEFAULT_CONFIG: DEFAULT_CONFIG,
+        PATH_LIBRARY_FORMAT: PATH_LIBRARY_FORMAT,
+        RNG_ALGORITHMS: RNG_ALGORITHMS,
+        PEG_LAYOUTS: PEG_LAYOUTS,
+        BOARD_LIMITS: BOARD_LIMITS,
+        setLogger: setLogger,
+        hashString: hashString,
+        formatSeed: formatSeed,
+        parseSeed: parseSeed,
+        createRng: createRng,
+        createRoundStreams: createRoundStreams,
+        checkBoardConfig: checkBoardConfig,
+        createBoard: createBoard,
+        findLandingBucket: findLandingBucket,
+        calculateInitialBallPosition: calculateInitialBallPosition,
+        computePegInfluence: computePegInfluence,
+        generateAnimationPath: generateAnimationPath,
+        measurePath: measurePath,
+        detectPathContacts: detectPathContacts,
+        evaluatePathQuality: evaluatePathQuality,
+        assessPathQuality: assessPathQuality,
+        findVerifiedPath: findVerifiedPath,
+        simulatePhysicsDrop: simulatePhysicsDrop,
+        findPhysicsPath: findPhysicsPath,
+        addPathVelocities: addPathVelocities,
+        createPathSampler: createPathSampler,
+        measurePathSeparation: measurePathSeparation,
+        chiSquareGoodnessOfFit: chiSquareGoodnessOfFit,
+        computeGeometryHash: computeGeometryHash,
+        encodeLibraryPath: encodeLibraryPath,
+        decodeLibraryPath: decodeLibraryPath,
+        encodePathContacts: encodePathContacts,
+        decodePathContacts: decodePathContacts,
+        validateLibraryPath: validateLibraryPath,
+        createPathLibraryBuilder: createPathLibraryBuilder,
+        checkPathLibrary: checkPathLibrary
+    };
+});
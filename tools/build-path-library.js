@@ -0,0 +1,116 @@
+#!/usr/bin/env node
+// Offline path library builder - generates and validates the paths the game plays from its path library,
+// using the same simulation as the game (simulation.js), and writes the versioned JSON file it loads.
+//
+//   node tools/build-path-library.js [--paths 1000] [--width 800] [--seed 1a2b3c4d] [--engine guided|physics] [--out path-library.json]
+//
+// Board geometry defaults to DEFAULT_CONFIG in simulation.js; override it with
+// --rows N, --pegs-per-row N, --layout triangle|grid|staggered and --bucket-count N (the game only loads
+// a library built for its own geometry). The same seed and options always build the same paths.
+
+const fs = require('fs');
+const path = require('path');
+const PlinkoSimulation = require('../simulation.js');
+
+const USAGE = 'Usage: node tools/build-path-library.js [--paths N] [--width PX] [--seed HEX] [--engine guided|physics] [--out FILE]\n' +
+    'Board: [--rows N] [--pegs-per-row N] [--layout triangle|grid|staggered] [--bucket-count N]';
+
+function parseArgs(argv) {
+    const options = {
+        paths: PlinkoSimulation.DEFAULT_CONFIG.pathLibraryPathsPerBucket,
+        width: PlinkoSimulation.DEFAULT_CONFIG.pathLibraryReferenceWidth,
+        seed: null,
+        engine: PlinkoSimulation.DEFAULT_CONFIG.pathEngine,
+        geometry: {},
+        out: 'path-library.json'
+    };
+
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        const value = () => {
+            if (i + 1 >= argv.length) throw new Error(`${arg} needs a value`);
+            return argv[++i];
+        };
+        const positiveInt = () => {
+            const number = parseInt(value(), 10);
+            if (!(number > 0)) throw new Error(`${arg} must be a positive integer`);
+            return number;
+        };
+
+        switch (arg) {
+            case '--paths': options.paths = positiveInt(); break;
+            case '--width': options.width = positiveInt(); break;
+            case '--out': options.out = value(); break;
+            case '--rows': options.geometry.pegRows = positiveInt(); break;
+            case '--pegs-per-row': options.geometry.pegsPerRow = positiveInt(); break;
+            case '--layout': options.geometry.pegLayout = value(); break;
+            case '--bucket-count': options.geometry.bucketCount = positiveInt(); break;
+            case '--engine':
+                options.engine = value();
+                if (!['guided', 'physics'].includes(options.engine)) throw new Error('--engine must be guided or physics');
+                break;
+            case '--seed':
+                options.seed = PlinkoSimulation.parseSeed(value());
+                if (options.seed === null) throw new Error('--seed must be 1-8 hex digits');
+                break;
+            case '--help':
+            case '-h':
+                console.log(USAGE);
+                process.exit(0);
+                break;
+            default:
+                throw new Error(`unknown option ${arg}`);
+        }
+    }
+
+    if (options.seed === null) options.seed = (Math.random() * 4294967296) >>> 0;
+    PlinkoSimulation.checkBoardConfig(Object.assign({}, PlinkoSimulation.DEFAULT_CONFIG, options.geometry));
+    return options;
+}
+
+function main() {
+    let options;
+    try {
+        options = parseArgs(process.argv.slice(2));
+    } catch (error) {
+        console.error(`${error.message}\n${USAGE}`);
+        process.exit(1);
+    }
+
+    // The simulation logs every rejected path - far too much for thousands of paths
+    const quiet = () => {};
+    PlinkoSimulation.setLogger({ log: quiet, warn: console.warn, error: console.error });
+
+    const config = Object.assign({}, PlinkoSimulation.DEFAULT_CONFIG, options.geometry, {
+        pathEngine: options.engine,
+        pathLibraryReferenceWidth: options.width,
+        pathLibraryPathsPerBucket: options.paths
+    });
+    const builder = PlinkoSimulation.createPathLibraryBuilder(options.seed, config);
+
+    const startTime = performance.now();
+    while (!builder.step(100)) {
+        process.stderr.write(`\rBuilding ${builder.built()}/${builder.total}...`);
+    }
+    process.stderr.write('\n');
+
+    // Check the finished file exactly as the game will when it loads it
+    const library = builder.library;
+    try {
+        PlinkoSimulation.checkPathLibrary(library, config);
+    } catch (error) {
+        console.error(`Path library not written: ${error.message}`);
+        process.exit(1);
+    }
+
+    Object.keys(library.buckets).forEach(bucketNumber => {
+        console.log(`bucket ${bucketNumber}: ${library.buckets[bucketNumber].length} paths, ${library.rejected[bucketNumber]} rejected`);
+    });
+
+    const outFile = path.resolve(options.out);
+    fs.writeFileSync(outFile, JSON.stringify(library));
+    console.log(`Path library ${library.id}: ${builder.built()} paths in ` +
+        `${((performance.now() - startTime) / 1000).toFixed(1)}s, written to ${outFile}`);
+}
+
+main();
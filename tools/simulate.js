@@ -0,0 +1,194 @@
+#!/usr/bin/env node
+// Headless drop runner for the path simulation in simulation.js - no browser needed.
+//
+//   node tools/simulate.js [--drops 100] [--width 800] [--seed 1a2b3c4d] [--buckets 1,3,5] [--engine guided|physics] [--json] [--verbose]
+//
+// Board geometry defaults to DEFAULT_CONFIG in simulation.js; override it with
+// --rows N, --pegs-per-row N, --layout triangle|grid|staggered and --bucket-count N.
+//
+// Runs N drops per bucket and reports hit rate, path attempts, internal retries, fallback
+// usage, mean path quality score and timing for the chosen path engine (guided simulation or rigid-body physics). Drop i into bucket b uses round seed hash("<seed>:<b>:<i>"),
+// so every drop can be re-run in the game from the seed printed with --verbose (on a board of the same width).
+// Path library files are built by tools/build-path-library.js.
+
+const PlinkoSimulation = require('../simulation.js');
+
+const USAGE = 'Usage: node tools/simulate.js [--drops N] [--width PX] [--seed HEX] [--buckets 1,3,5] [--engine guided|physics] [--json] [--verbose]\n' +
+    'Board: [--rows N] [--pegs-per-row N] [--layout triangle|grid|staggered] [--bucket-count N]';
+
+function parseArgs(argv) {
+    const options = {
+        drops: 100,
+        width: 800,
+        seed: null,
+        buckets: null,
+        engine: PlinkoSimulation.DEFAULT_CONFIG.pathEngine,
+        geometry: {},
+        json: false,
+        verbose: false
+    };
+
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        const value = () => {
+            if (i + 1 >= argv.length) throw new Error(`${arg} needs a value`);
+            return argv[++i];
+        };
+        const positiveInt = () => {
+            const number = parseInt(value(), 10);
+            if (!(number > 0)) throw new Error(`${arg} must be a positive integer`);
+            return number;
+        };
+
+        switch (arg) {
+            case '--drops': options.drops = positiveInt(); break;
+            case '--width': options.width = positiveInt(); break;
+            case '--rows': options.geometry.pegRows = positiveInt(); break;
+            case '--pegs-per-row': options.geometry.pegsPerRow = positiveInt(); break;
+            case '--layout': options.geometry.pegLayout = value(); break;
+            case '--bucket-count': options.geometry.bucketCount = positiveInt(); break;
+            case '--engine':
+                options.engine = value();
+                if (!['guided', 'physics'].includes(options.engine)) throw new Error('--engine must be guided or physics');
+                break;
+            case '--json': options.json = true; break;
+            case '--verbose': options.verbose = true; break;
+            case '--seed':
+                options.seed = PlinkoSimulation.parseSeed(value());
+                if (options.seed === null) throw new Error('--seed must be 1-8 hex digits');
+                break;
+            case '--buckets':
+                options.buckets = value().split(',').map(text => parseInt(text, 10));
+                break;
+            case '--help':
+            case '-h':
+                console.log(USAGE);
+                process.exit(0);
+                break;
+            default:
+                throw new Error(`unknown option ${arg}`);
+        }
+    }
+
+    if (options.seed === null) options.seed = (Math.random() * 4294967296) >>> 0;
+    PlinkoSimulation.checkBoardConfig(Object.assign({}, PlinkoSimulation.DEFAULT_CONFIG, options.geometry));
+    return options;
+}
+
+// Nearest-rank percentile of an ascending list
+function percentile(sorted, fraction) {
+    if (sorted.length === 0) return 0;
+    return sorted[Math.min(sorted.length - 1, Math.ceil(fraction * sorted.length) - 1)];
+}
+
+function runDrops(options, config) {
+    const board = PlinkoSimulation.createBoard(options.width, config);
+    const buckets = options.buckets || board.buckets.map(bucket => bucket.number);
+    buckets.forEach(bucketNumber => {
+        if (!board.buckets[bucketNumber - 1]) throw new Error(`no bucket ${bucketNumber} on this board`);
+    });
+    const findPath = options.engine === 'physics' ? PlinkoSimulation.findPhysicsPath : PlinkoSimulation.findVerifiedPath;
+
+    const results = buckets.map(bucketNumber => {
+        const stats = { bucket: bucketNumber, drops: 0, hits: 0, attempts: 0, retries: 0, fallbacks: 0, timesMs: [], scores: [] };
+
+        for (let i = 0; i < options.drops; i++) {
+            const roundSeed = PlinkoSimulation.hashString(`${options.seed}:${bucketNumber}:${i}`);
+            const streams = PlinkoSimulation.createRoundStreams(roundSeed, config.rngAlgorithm);
+
+            const startTime = performance.now();
+            const verified = findPath(bucketNumber, board, streams.outcome.random);
+            const elapsed = performance.now() - startTime;
+
+            const finalPoint = verified.path[verified.path.length - 1];
+            const landed = PlinkoSimulation.findLandingBucket(finalPoint.x, board);
+
+            stats.drops++;
+            if (landed === bucketNumber) stats.hits++;
+            stats.attempts += verified.attempts;
+            stats.retries += verified.pathRetries;
+            if (verified.usedFallback) stats.fallbacks++;
+            if (verified.quality) stats.scores.push(verified.quality.score);
+            stats.timesMs.push(elapsed);
+
+            if (options.verbose) {
+                console.log(`bucket ${bucketNumber} drop ${i}: seed ${PlinkoSimulation.formatSeed(roundSeed)} landed ${landed} ` +
+                    `(${verified.attempts} attempts, ${verified.pathRetries} retries${verified.usedFallback ? ', fallback' : ''}, ` +
+                    `score ${verified.quality ? verified.quality.score : '-'}, ${elapsed.toFixed(1)}ms)`);
+            }
+        }
+
+        const sortedTimes = stats.timesMs.slice().sort((a, b) => a - b);
+        const totalTime = sortedTimes.reduce((sum, time) => sum + time, 0);
+        return {
+            bucket: bucketNumber,
+            drops: stats.drops,
+            hitRate: stats.hits / stats.drops,
+            avgAttempts: stats.attempts / stats.drops,
+            avgRetries: stats.retries / stats.drops,
+            fallbackRate: stats.fallbacks / stats.drops,
+            meanScore: stats.scores.length ? stats.scores.reduce((sum, score) => sum + score, 0) / stats.scores.length : null,
+            meanMs: totalTime / stats.drops,
+            p95Ms: percentile(sortedTimes, 0.95),
+            maxMs: sortedTimes[sortedTimes.length - 1]
+        };
+    });
+
+    return {
+        seed: PlinkoSimulation.formatSeed(options.seed),
+        engine: options.engine,
+        width: board.width,
+        board: { pegRows: config.pegRows, pegsPerRow: config.pegsPerRow, pegLayout: config.pegLayout, bucketCount: config.bucketCount },
+        dropsPerBucket: options.drops,
+        buckets: results
+    };
+}
+
+function printReport(report) {
+    const percent = value => `${(value * 100).toFixed(1)}%`;
+    const rows = [['Bucket', 'Drops', 'Hit rate', 'Attempts', 'Retries', 'Fallback', 'Score', 'Mean ms', 'p95 ms', 'Max ms']];
+    report.buckets.forEach(result => {
+        rows.push([
+            String(result.bucket),
+            String(result.drops),
+            percent(result.hitRate),
+            result.avgAttempts.toFixed(2),
+            result.avgRetries.toFixed(2),
+            percent(result.fallbackRate),
+            result.meanScore !== null ? result.meanScore.toFixed(1) : '-',
+            result.meanMs.toFixed(2),
+            result.p95Ms.toFixed(2),
+            result.maxMs.toFixed(2)
+        ]);
+    });
+
+    const widths = rows[0].map((_, column) => Math.max(...rows.map(row => row[column].length)));
+    console.log(`Seed ${report.seed}, ${report.engine} engine, ${report.width}px ${report.board.pegLayout} board ` +
+        `(${report.board.pegRows} rows, ${report.board.pegsPerRow} pegs per row, ${report.board.bucketCount} buckets), ` +
+        `${report.dropsPerBucket} drops per bucket`);
+    rows.forEach(row => console.log(row.map((cell, column) => cell.padStart(widths[column])).join('  ')));
+}
+
+function main() {
+    let options;
+    try {
+        options = parseArgs(process.argv.slice(2));
+    } catch (error) {
+        console.error(`${error.message}\n${USAGE}`);
+        process.exit(1);
+    }
+
+    // The simulation logs every rejected path - far too much for thousands of drops
+    const quiet = () => {};
+    PlinkoSimulation.setLogger({ log: quiet, warn: options.verbose ? console.warn : quiet, error: console.error });
+
+    const config = Object.assign({}, PlinkoSimulation.DEFAULT_CONFIG, options.geometry);
+    const report = runDrops(options, config);
+    if (options.json) {
+        console.log(JSON.stringify(report, null, 2));
+    } else {
+        printReport(report);
+    }
+}
+
+main();